@@ -0,0 +1,136 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Cron field ranges.
+ *
+ * @type {number[][]}
+ */
+const ranges = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 6]];
+
+/**
+ * Cron like schedule, the expression consists of minute, hour, day of month,
+ * month, and day of week fields. Each field accepts `*`, a number, a range
+ * `a-b`, a step `*\/n` or `a-b/n`, or a comma separated list of them.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class Cron {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} expression Cron expression such as `0 2 * * *`
+     */
+    constructor(expression) {
+        const fields = String(expression).trim().split(/\s+/);
+        if (fields.length !== 5) {
+            throw new Error(`Cron expression ${expression} must have 5 fields!`);
+        }
+        /** @type {string} */
+        this.expression = expression;
+        /** @type {Set<number>[]} */
+        this.fields = fields.map((field, i) => this.parse(field, ranges[i][0], ranges[i][1], i === 4 ? 7 : ranges[i][1]));
+        /** @type {boolean} */
+        this.anyDay = fields[2] === '*';
+        /** @type {boolean} */
+        this.anyWeekday = fields[4] === '*';
+    }
+
+    /**
+     * Parse cron field.
+     *
+     * @param {string} field The field
+     * @param {number} min Minimum value
+     * @param {number} max Maximum value
+     * @param {number} limit Maximum accepted value
+     * @returns {Set<number>}
+     */
+    parse(field, min, max, limit) {
+        const values = new Set();
+        for (const part of field.split(',')) {
+            const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+            if (!match) {
+                throw new Error(`Invalid cron field ${field}!`);
+            }
+            const start = match[1] === '*' ? min : parseInt(match[2]);
+            const end = match[1] === '*' ? max : (match[3] !== undefined ? parseInt(match[3]) : (match[4] ? max : start));
+            const step = match[4] !== undefined ? parseInt(match[4]) : 1;
+            if (start < min || end > limit || start > end || step < 1) {
+                throw new Error(`Invalid cron field ${field}!`);
+            }
+            for (let value = start; value <= end; value += step) {
+                values.add(value > max ? min : value);
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Is day matched? When both day of month and day of week are restricted,
+     * either of them must be matched.
+     *
+     * @param {Date} date The date
+     * @returns {boolean}
+     */
+    isDay(date) {
+        const day = this.fields[2].has(date.getDate());
+        const weekday = this.fields[4].has(date.getDay());
+        if (this.anyDay || this.anyWeekday) {
+            return day && weekday;
+        }
+        return day || weekday;
+    }
+
+    /**
+     * Get next matched time after time.
+     *
+     * @param {number} time Timestamp in milliseconds
+     * @returns {number|null} Next timestamp or null if none matched within 5 years
+     */
+    next(time) {
+        const date = new Date(time);
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+        const limit = new Date(date).setFullYear(date.getFullYear() + 5);
+        while (date.getTime() <= limit) {
+            if (!this.fields[3].has(date.getMonth() + 1)) {
+                date.setMonth(date.getMonth() + 1, 1);
+                date.setHours(0, 0);
+            } else if (!this.isDay(date)) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0);
+            } else if (!this.fields[1].has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0);
+            } else if (!this.fields[0].has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() + 1);
+            } else {
+                return date.getTime();
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = Cron;
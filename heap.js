@@ -0,0 +1,172 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Compare callback.
+ *
+ * @callback compareCallback
+ * @param {any} a First value
+ * @param {any} b Second value
+ * @returns {number} Negative if a must be placed before b
+ */
+
+/**
+ * Binary heap, the value at the top is always the lowest according to the
+ * compare callback.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class Heap {
+
+    /**
+     * Constructor.
+     *
+     * @param {compareCallback} compare The compare callback
+     */
+    constructor(compare) {
+        /** @type {compareCallback} */
+        this.compare = compare || ((a, b) => a < b ? -1 : (a > b ? 1 : 0));
+        /** @type {any[]} */
+        this.values = [];
+    }
+
+    /**
+     * Get number of values.
+     *
+     * @returns {number}
+     */
+    get size() {
+        return this.values.length;
+    }
+
+    /**
+     * Add value.
+     *
+     * @param {any} value The value
+     * @returns {Heap}
+     */
+    push(value) {
+        this.values.push(value);
+        this.up(this.values.length - 1);
+        return this;
+    }
+
+    /**
+     * Get the top value without removing it.
+     *
+     * @returns {any}
+     */
+    peek() {
+        return this.values[0];
+    }
+
+    /**
+     * Remove and return the top value.
+     *
+     * @returns {any}
+     */
+    pop() {
+        return this.removeAt(0);
+    }
+
+    /**
+     * Remove value at index.
+     *
+     * @param {number} idx Value index
+     * @returns {any}
+     */
+    removeAt(idx) {
+        if (idx < 0 || idx >= this.values.length) {
+            return;
+        }
+        const value = this.values[idx];
+        const last = this.values.pop();
+        if (idx < this.values.length) {
+            this.values[idx] = last;
+            this.down(idx);
+            this.up(idx);
+        }
+        return value;
+    }
+
+    /**
+     * Remove all values.
+     */
+    clear() {
+        this.values = [];
+    }
+
+    /**
+     * Move value at index up to its position.
+     *
+     * @param {number} idx Value index
+     */
+    up(idx) {
+        while (idx > 0) {
+            const parent = (idx - 1) >> 1;
+            if (this.compare(this.values[idx], this.values[parent]) >= 0) {
+                break;
+            }
+            this.swap(idx, parent);
+            idx = parent;
+        }
+    }
+
+    /**
+     * Move value at index down to its position.
+     *
+     * @param {number} idx Value index
+     */
+    down(idx) {
+        const len = this.values.length;
+        while (true) {
+            const left = 2 * idx + 1;
+            const right = left + 1;
+            let top = idx;
+            if (left < len && this.compare(this.values[left], this.values[top]) < 0) {
+                top = left;
+            }
+            if (right < len && this.compare(this.values[right], this.values[top]) < 0) {
+                top = right;
+            }
+            if (top === idx) {
+                break;
+            }
+            this.swap(idx, top);
+            idx = top;
+        }
+    }
+
+    /**
+     * Swap values.
+     *
+     * @param {number} a First index
+     * @param {number} b Second index
+     */
+    swap(a, b) {
+        [this.values[a], this.values[b]] = [this.values[b], this.values[a]];
+    }
+}
+
+module.exports = Heap;
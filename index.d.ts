@@ -22,7 +22,10 @@
  * SOFTWARE.
  */
 
+import * as Pool from './pool';
 import * as Queue from './queue';
+import * as Store from './store';
+import * as Tracer from './tracer';
 import * as Work from './work';
 
-export = { Queue, Work };
\ No newline at end of file
+export = { Pool, Queue, Store, Tracer, Work };
\ No newline at end of file
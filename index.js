@@ -23,6 +23,9 @@
  */
 
 module.exports = {
+    Pool: require('./pool'),
     Queue: require('./queue'),
+    Store: require('./store'),
+    Tracer: require('./tracer'),
     Work: require('./work')
 }
\ No newline at end of file
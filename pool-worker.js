@@ -0,0 +1,48 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+
+/**
+ * Pool worker thread entry, loads the handler module and calls the handler
+ * for each received data.
+ */
+const exported = require(workerData.filename);
+const handler = workerData.fn ? exported[workerData.fn] : exported;
+if (typeof handler !== 'function') {
+    throw new Error(`Pool handler ${workerData.fn || 'export'} of ${workerData.filename} is not a function!`);
+}
+
+parentPort.on('message', data => {
+    Promise.resolve()
+        .then(() => handler(data))
+        .then(res => parentPort.postMessage({res}))
+        .catch(err => {
+            if (err instanceof Error) {
+                parentPort.postMessage({error: true, err: {name: err.name, message: err.message, stack: err.stack, code: err.code}});
+            } else {
+                parentPort.postMessage({err});
+            }
+        });
+});
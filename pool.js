@@ -0,0 +1,178 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+/**
+ * Worker threads pool, runs a handler exported by a module in a pool of
+ * worker threads. The handler is called with the data and its result or
+ * error is returned as promise. Data and result must be cloneable.
+ *
+ * Usage:
+ *
+ * ```js
+ * // hash.js
+ * module.exports = data => require('crypto').createHash('sha256').update(data).digest('hex');
+ *
+ * const pool = new Pool(require.resolve('./hash'), {size: 4});
+ * const hash = await pool.run('some data');
+ * await pool.close();
+ * ```
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class Pool {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} filename Module path, relative path is resolved from current directory
+     * @param {object} options The options
+     * @param {number} options.size Maximum number of worker threads, default to available parallelism
+     * @param {string} options.fn Exported handler name, default to the module export itself
+     */
+    constructor(filename, options) {
+        options = options || {};
+        /** @type {string} */
+        this.filename = path.resolve(filename);
+        /** @type {string} */
+        this.fn = options.fn;
+        /** @type {number} */
+        this.size = options.size > 0 ? options.size :
+            (typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length);
+        /** @type {Worker[]} */
+        this.workers = [];
+        /** @type {Worker[]} */
+        this.idle = [];
+        /** @type {object[]} */
+        this.tasks = [];
+        /** @type {boolean} */
+        this.closed = false;
+    }
+
+    /**
+     * Run handler with data in a worker thread.
+     *
+     * @param {any} data The data
+     * @returns {Promise<any>}
+     */
+    run(data) {
+        if (this.closed) {
+            return Promise.reject(new Error('Pool is already closed!'));
+        }
+        return new Promise((resolve, reject) => {
+            this.tasks.push({data, resolve, reject});
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Assign pending tasks to idle worker threads, a new worker thread is
+     * started if the pool size allows it.
+     */
+    dispatch() {
+        while (this.tasks.length) {
+            let worker = this.idle.shift();
+            if (!worker) {
+                if (this.workers.length >= this.size) {
+                    break;
+                }
+                worker = this.spawn();
+            }
+            const task = this.tasks.shift();
+            try {
+                worker.postMessage(task.data);
+                worker.task = task;
+                worker.ref();
+            } catch (err) {
+                this.idle.push(worker);
+                task.reject(err);
+            }
+        }
+    }
+
+    /**
+     * Start a worker thread, an idle worker thread doesn't keep the process
+     * running.
+     *
+     * @returns {Worker}
+     */
+    spawn() {
+        const worker = new Worker(path.join(__dirname, 'pool-worker.js'), {workerData: {filename: this.filename, fn: this.fn}});
+        const settle = f => {
+            const task = worker.task;
+            worker.task = null;
+            if (task) {
+                f(task);
+            }
+        }
+        worker
+            .on('message', msg => {
+                settle(task => {
+                    if (msg.error) {
+                        task.reject(Object.assign(new Error(msg.err.message), msg.err));
+                    } else if ('err' in msg) {
+                        task.reject(msg.err);
+                    } else {
+                        task.resolve(msg.res);
+                    }
+                });
+                worker.unref();
+                this.idle.push(worker);
+                this.dispatch();
+            })
+            .on('error', err => settle(task => task.reject(err)))
+            .on('exit', code => {
+                settle(task => task.reject(new Error(`Pool worker exited with code ${code}!`)));
+                this.workers.splice(this.workers.indexOf(worker), 1);
+                if (this.idle.indexOf(worker) >= 0) {
+                    this.idle.splice(this.idle.indexOf(worker), 1);
+                }
+                if (!this.closed) {
+                    this.dispatch();
+                }
+            });
+        worker.unref();
+        this.workers.push(worker);
+        return worker;
+    }
+
+    /**
+     * Stop all worker threads, pending tasks are rejected.
+     *
+     * @returns {Promise<undefined>}
+     */
+    close() {
+        this.closed = true;
+        while (this.tasks.length) {
+            this.tasks.shift().reject(new Error('Pool is closed!'));
+        }
+        return Promise.all(this.workers.map(worker => worker.terminate()))
+            .then(() => undefined);
+    }
+}
+
+module.exports = Pool;
@@ -23,16 +23,94 @@
  */
 
 import { EventEmitter } from 'events';
+import * as Pool from './pool';
+import * as Tracer from './tracer';
 
-declare type QueueHandler<T> = (queue: T) => void;
+declare type QueueHandler<T> = (queue: T) => void | Promise<any>;
 declare type QueueCheck = () => boolean;
+declare type QueuePriority<T> = (queue: T) => number;
+
+declare interface QueueOptions<T> {
+    check?: QueueCheck;
+    concurrency?: number;
+    stopOnError?: boolean;
+    priority?: QueuePriority<T> | string;
+    rateLimit?: { count: number, interval: number };
+    checkInterval?: number;
+    tracer?: Tracer;
+    maxAttempts?: number;
+    retryDelay?: number | ((attempts: number, err: any) => number);
+    clock?: Clock;
+    key?: (queue: T) => any;
+    merge?: (old: T, queue: T) => T;
+    partition?: (queue: T) => any;
+    poolSize?: number;
+}
+
+declare interface Clock {
+    now(): number;
+    setTimeout(f: () => void, delay: number): any;
+    clearTimeout(timer: any): void;
+}
+
+declare interface ScheduleOptions {
+    delay?: number;
+    at?: Date | number;
+    every?: number;
+    cron?: string;
+}
+
+declare interface DeadLetter<T> {
+    queue: T;
+    err: any;
+    attempts: number;
+}
 
 declare class Queue<T> extends EventEmitter {
     pending: boolean;
-    constructor(queues: Set<T>, handler: QueueHandler<T>, check?: QueueCheck);
-    next(): void;
+    paused: boolean;
+    checkInterval: number;
+    concurrency: number;
+    running: number;
+    stopped: boolean;
+    priority: QueuePriority<T> | string;
+    source: Iterator<T> | AsyncIterator<T>;
+    tracer: Tracer;
+    maxAttempts: number;
+    retryDelay: number | ((attempts: number, err: any) => number);
+    deadLetters: DeadLetter<T>[];
+    clock: Clock;
+    key: (queue: T) => any;
+    merge: (old: T, queue: T) => T;
+    partition: (queue: T) => any;
+    partitions: Map<any, T[]>;
+    pool: Pool;
+    constructor(queues: T[] | Iterable<T> | AsyncIterable<T>, handler?: QueueHandler<T> | string, check?: QueueCheck | QueueOptions<T>);
+    next(queue?: T): void;
+    dispatch(): void;
+    nextSlot(): number;
+    pause(): void;
+    resume(): void;
+    clear(): void;
+    retry(queue: T, err: any, attempts?: number): boolean;
+    replay(filter?: (letter: DeadLetter<T>) => boolean): number;
+    enqueue(queues: T[], top?: boolean): void;
+    has(key: any): boolean;
+    remove(key: any): boolean;
+    schedule(queue: T, options: ScheduleOptions): number;
+    unschedule(id: number): boolean;
+    on(event: 'queue', listener: (queue: T) => void): this;
+    on(event: 'item-done', listener: (queue: T, res: any) => void): this;
+    on(event: 'error', listener: (err: any, queue: T) => void): this;
+    on(event: 'retry', listener: (queue: T, err: any, attempts: number) => void): this;
+    on(event: 'dead-letter', listener: (queue: T, err: any, attempts: number) => void): this;
+    on(event: 'duplicate', listener: (queue: T, key: any) => void): this;
+    on(event: 'scheduled', listener: (queue: T, id: number) => void): this;
+    on(event: 'done', listener: () => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
     done(): void;
-    requeue(queues: Set<T>, top: boolean): void;
+    requeue(queues: T[], top?: boolean): void;
+    [Symbol.asyncIterator](): AsyncIterator<T>;
 }
 
 export = Queue;
\ No newline at end of file
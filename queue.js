@@ -23,12 +23,20 @@
  */
 
 const EventEmitter = require('events');
+const Cron = require('./cron');
+const Heap = require('./heap');
+const Pool = require('./pool');
+const Tracer = require('./tracer');
 
 /**
  * Queue processing callback.
  *
+ * When a promise is returned, the queue automatically advanced once the
+ * promise is settled, otherwise `next()` must be called to advance the queue.
+ *
  * @callback queueCallback
  * @param {any} queue The queue
+ * @returns {Promise<any>|undefined}
  */
 
 /**
@@ -38,6 +46,57 @@ const EventEmitter = require('events');
  * @returns {boolean} Return true to continue otherwise will pending processing
  */
 
+/**
+ * Queue priority callback.
+ *
+ * @callback priorityCallback
+ * @param {any} queue The queue
+ * @returns {number} Queue priority, higher is processed first
+ */
+
+/**
+ * Queue key callback.
+ *
+ * @callback keyCallback
+ * @param {any} queue The queue
+ * @returns {any} Queue key, undefined to disable deduplication of the queue
+ */
+
+/**
+ * Queue merge callback.
+ *
+ * @callback mergeCallback
+ * @param {any} old The waiting queue
+ * @param {any} queue The new queue
+ * @returns {any} The merged queue
+ */
+
+/**
+ * Queue partition callback.
+ *
+ * @callback partitionCallback
+ * @param {any} queue The queue
+ * @returns {any} Queue partition key
+ */
+
+/**
+ * Queue retry delay callback.
+ *
+ * @callback retryDelayCallback
+ * @param {number} attempts Number of attempt
+ * @param {Error} err The error
+ * @returns {number} Delay in milliseconds
+ */
+
+/**
+ * Queue clock, used to schedule queue.
+ *
+ * @typedef {object} Clock
+ * @property {Function} now Get current timestamp in milliseconds
+ * @property {Function} setTimeout Start a timer
+ * @property {Function} clearTimeout Stop a timer
+ */
+
 /**
  * Queue processing.
  * 
@@ -56,6 +115,14 @@ const EventEmitter = require('events');
  * });
  * ```
  *
+ * Queue can also be consumed using `for await`:
+ *
+ * ```js
+ * for await (const seq of new Queue(queues)) {
+ *     console.log(seq);
+ * }
+ * ```
+ *
  * @author Toha <tohenk@yahoo.com>
  */
 class Queue extends EventEmitter {
@@ -63,93 +130,1220 @@ class Queue extends EventEmitter {
     /**
      * Constructor.
      *
-     * @param {any[]} queues The queues, will empty when done
-     * @param {queueCallback} handler The processing callback
-     * @param {checkCallback} check The check callback
+     * @param {any[]|Iterable|AsyncIterable|Readable} queues The queues, array will empty when done, other
+     * source is pulled only when queue is needed
+     * @param {queueCallback|string} handler The processing callback, omit to consume using `for await`, or a
+     * module path which exports the handler to process the queue in worker threads
+     * @param {checkCallback|object} options The check callback or options
+     * @param {checkCallback} options.check The check callback
+     * @param {number} options.concurrency Maximum number of queue processed at once, default to 1
+     * @param {boolean} options.stopOnError Set to true to stop processing when a queue is failed
+     * @param {priorityCallback|string} options.priority Queue priority callback or property name
+     * @param {object} options.rateLimit Limit the number of queue processed in an interval
+     * @param {number} options.rateLimit.count Maximum number of queue processed in an interval
+     * @param {number} options.rateLimit.interval The interval in milliseconds
+     * @param {number} options.checkInterval Check callback re-evaluation interval in milliseconds when it
+     * returns false, default to 100, zero to only re-evaluate on `resume()`
+     * @param {Tracer} options.tracer Tracer adapter to create a span for each processed queue
+     * @param {number} options.maxAttempts Maximum number of attempt for each queue, a failed queue is requeued
+     * until its attempts is exhausted and then added to dead letters
+     * @param {number|retryDelayCallback} options.retryDelay Delay in milliseconds before failed queue is requeued
+     * @param {Clock} options.clock Clock used to schedule queue, default to system clock
+     * @param {keyCallback} options.key Queue key callback, a queue which its key is waiting or being processed
+     * is ignored
+     * @param {mergeCallback} options.merge Merge a queue into the waiting queue with same key instead of ignoring it
+     * @param {partitionCallback} options.partition Queue partition callback, queues of same partition are processed
+     * in order one at a time while queues of different partition are processed concurrently
+     * @param {number} options.poolSize Maximum number of worker threads when handler is a module path
      */
-    constructor(queues, handler, check) {
+    constructor(queues, handler, options) {
         super();
-        /** @type {any[]} */
+        if (typeof options === 'function') {
+            options = {check: options};
+        }
+        options = options || {};
+        /** @type {priorityCallback|string} */
+        this.priority = options.priority;
+        /** @type {keyCallback} */
+        this.key = options.key;
+        /** @type {mergeCallback} */
+        this.merge = options.merge;
+        /** @type {Map<any, any>} */
+        this.waiting = new Map();
+        /** @type {Set<any>} */
+        this.inflight = new Set();
+        /** @type {partitionCallback} */
+        this.partition = options.partition;
+        /** @type {Map<any, any[]>} */
+        this.partitions = new Map();
+        /** @type {QueueItem[]} */
+        this.items = [];
+        /** @type {QueueItem} */
+        this.current = null;
+        /** @type {any[]|PriorityQueues} */
         this.queues = queues || [];
+        /** @type {Iterator|AsyncIterator} */
+        this.source = null;
+        /** @type {boolean} */
+        this.pulling = false;
+        if (!Array.isArray(this.queues)) {
+            if (typeof this.queues[Symbol.asyncIterator] === 'function') {
+                this.source = this.queues[Symbol.asyncIterator]();
+            } else if (typeof this.queues[Symbol.iterator] === 'function') {
+                this.source = this.queues[Symbol.iterator]();
+            } else {
+                throw new Error('Queue must be an array or an iterable!');
+            }
+            this.queues = [];
+        }
+        if (this.priority || this.key || this.partition) {
+            const items = this.queues;
+            this.queues = this.priority ? new PriorityQueues(this.priority) : [];
+            this.enqueue(items.splice(0));
+        }
+        /** @type {Pool} */
+        this.pool = null;
+        if (typeof handler === 'string') {
+            const filename = handler;
+            handler = queue => {
+                if (!this.pool) {
+                    this.pool = new Pool(filename, {size: options.poolSize});
+                }
+                return this.pool.run(queue);
+            }
+        }
         /** @type {queueCallback} */
         this.handler = handler;
         /** @type {checkCallback} */
-        this.check = check;
+        this.check = options.check;
+        /** @type {number} */
+        this.concurrency = options.concurrency > 0 ? options.concurrency : 1;
+        /** @type {boolean} */
+        this.stopOnError = options.stopOnError || false;
+        /** @type {boolean} */
+        this.stopped = false;
+        /** @type {RateLimiter} */
+        this.limiter = options.rateLimit ? new RateLimiter(options.rateLimit.count, options.rateLimit.interval) : null;
+        /** @type {number} */
+        this.checkInterval = options.checkInterval !== undefined ? options.checkInterval : 100;
         /** @type {boolean} */
-        this.pending = false;
+        this.paused = false;
         /** @type {any} */
         this.queue = null;
-        this.next();
+        /** @type {number} */
+        this.running = 0;
+        /** @type {NodeJS.Timeout} */
+        this.timer = null;
+        /** @type {Tracer} */
+        this.tracer = options.tracer || null;
+        /** @type {number} */
+        this.seq = 0;
+        /** @type {number} */
+        this.maxAttempts = options.maxAttempts > 0 ? options.maxAttempts : 0;
+        /** @type {number|retryDelayCallback} */
+        this.retryDelay = options.retryDelay || 0;
+        /** @type {Map<NodeJS.Timeout, any>} */
+        this.retries = new Map();
+        /** @type {object[]} */
+        this.deadLetters = [];
+        /** @type {Clock} */
+        this.clock = options.clock || {
+            now: () => Date.now(),
+            setTimeout: (f, delay) => setTimeout(f, delay),
+            clearTimeout: timer => clearTimeout(timer),
+        };
+        /** @type {Heap} */
+        this.schedules = new Heap((a, b) => a.time - b.time || a.id - b.id);
+        /** @type {any} */
+        this.scheduler = null;
+        /** @type {number} */
+        this.scheduleSeq = 0;
+        if (typeof this.handler === 'function') {
+            this.dispatch();
+        }
     }
 
     /**
-     * Consume queue by emitting `queue` event.
+     * Consume queue by emitting `queue` event and calling the handler.
      *
      * @param {any} queue The queue
+     * @param {number} attempts Number of previous attempt
      */
-    consume(queue) {
+    consume(queue, attempts) {
         process.nextTick(() => {
             this.queue = queue;
-            this.once('queue', this.handler);
             this.emit('queue', queue);
+            const item = new QueueItem(queue, attempts, this.startSpan(queue));
+            this.items.push(item);
+            let res;
+            this.current = item;
+            try {
+                res = this.handler(queue);
+            } catch (err) {
+                this.current = null;
+                return this.failed(item, err);
+            }
+            this.current = null;
+            if (res && typeof res.then === 'function') {
+                item.promised = true;
+                res.then(
+                    res => this.processed(item, res),
+                    err => this.failed(item, err)
+                );
+            }
         });
     }
 
     /**
-     * Process next queue, if no queue available then it will emitting
-     * `done` event.
+     * Settle processing queue and free its processing slot. A queue is settled
+     * once, either by `next()` or by its handler promise, whichever comes first.
+     *
+     * @param {QueueItem} item Processing queue
+     * @returns {boolean} True if the queue was not settled yet
      */
-    next() {
-        if (this.queues.length) {
-            const nn = () => {
-                setTimeout(() => {
-                    process.nextTick(() => {
-                        this.next();
-                    });
-                }, 0);
-            }
-            if (this.pending || (typeof this.check === 'function' && !this.check())) {
-                return nn();
-            }
-            this.consume(this.queues.shift());
+    settle(item) {
+        if (item.settled) {
+            return false;
+        }
+        item.settled = true;
+        this.items.splice(this.items.indexOf(item), 1);
+        if (this.running > 0) {
+            this.running--;
+        }
+        return true;
+    }
+
+    /**
+     * Start queue span if tracer is used.
+     *
+     * @param {any} queue The queue
+     * @returns {Span|null}
+     */
+    startSpan(queue) {
+        if (!this.tracer) {
+            return null;
+        }
+        const attributes = {'queue.seq': ++this.seq};
+        if (['string', 'number', 'boolean'].includes(typeof queue)) {
+            attributes['queue.item'] = queue;
+        }
+        return this.tracer.startSpan('queue', attributes);
+    }
+
+    /**
+     * End queue span.
+     *
+     * @param {Span} span The span
+     * @param {Error} err The error
+     */
+    endSpan(span, err) {
+        if (span) {
+            if (err !== undefined) {
+                span.recordException(err);
+                span.setStatus({code: Tracer.StatusCode.ERROR, message: err instanceof Error ? err.message : String(err)});
+            } else {
+                span.setStatus({code: Tracer.StatusCode.OK});
+            }
+            span.end();
+        }
+    }
+
+    /**
+     * Emit `item-done` event and process next queue.
+     *
+     * @param {QueueItem} item Processing queue
+     * @param {any} res Processing result
+     */
+    processed(item, res) {
+        if (this.settle(item)) {
+            this.endSpan(item.span);
+            this.release(item.queue);
+            this.advance(item.queue);
+            this.emit('item-done', item.queue, res);
+            this.dispatch();
+        }
+    }
+
+    /**
+     * Emit `error` event if it has listener and process next queue unless
+     * stop on error is requested. When maximum attempts is set, the queue is
+     * retried until its attempts is exhausted.
+     *
+     * @param {QueueItem} item Processing queue
+     * @param {Error} err The error
+     */
+    failed(item, err) {
+        if (!this.settle(item)) {
+            return;
+        }
+        const queue = item.queue;
+        this.endSpan(item.span, err);
+        if (this.listenerCount('error')) {
+            this.emit('error', err, queue);
+        }
+        // the key of retried queue is kept in flight until it is requeued
+        const retried = this.maxAttempts ? this.retry(queue, err, item.attempts) : false;
+        if (!retried) {
+            this.release(queue);
+            this.advance(queue);
+        }
+        if (this.stopOnError && !retried) {
+            this.stopped = true;
+        }
+        this.dispatch();
+    }
+
+    /**
+     * Requeue failed queue if its attempts is not exhausted, otherwise add it
+     * to dead letters and emit `dead-letter` event. When partition is used,
+     * the queue is retried before other queue in its partition.
+     *
+     * @param {any} queue The queue
+     * @param {Error} err The error
+     * @param {number} attempts Number of previous attempt
+     * @returns {boolean} True if the queue is retried
+     */
+    retry(queue, err, attempts) {
+        attempts = (attempts || 0) + 1;
+        if (attempts < this.maxAttempts) {
+            const delay = typeof this.retryDelay === 'function' ? this.retryDelay(attempts, err) : this.retryDelay;
+            this.emit('retry', queue, err, attempts);
+            const requeue = () => {
+                // the attempts is carried by the requeued entry
+                const entry = new RetryEntry(queue, attempts);
+                this.release(queue);
+                if (this.partition) {
+                    this.enqueue([entry], true);
+                    this.advance(queue);
+                } else {
+                    this.enqueue([entry]);
+                }
+            }
+            if (delay > 0) {
+                const timer = setTimeout(() => {
+                    this.retries.delete(timer);
+                    requeue();
+                    this.dispatch();
+                }, delay);
+                this.retries.set(timer, queue);
+            } else {
+                requeue();
+            }
+            return true;
+        }
+        this.deadLetters.push({queue, err, attempts});
+        this.emit('dead-letter', queue, err, attempts);
+        return false;
+    }
+
+    /**
+     * Requeue dead letters, the queue attempts is started over.
+     *
+     * @param {Function} filter Dead letter filter, called with `{queue, err, attempts}`
+     * @returns {number} Number of requeued queue
+     */
+    replay(filter) {
+        const letters = this.deadLetters.filter(letter => typeof filter !== 'function' || filter(letter));
+        if (letters.length) {
+            this.deadLetters = this.deadLetters.filter(letter => !letters.includes(letter));
+            this.requeue(letters.map(letter => letter.queue));
+        }
+        return letters.length;
+    }
+
+    /**
+     * Mark current queue as processed and process next queue, if no queue
+     * available then it will emitting `done` event.
+     *
+     * @param {any} queue The processed queue, required when `next()` is not called from the handler while
+     * more than one queue is processing and key, partition or tracer is used
+     */
+    next(queue) {
+        const item = this.itemOf(queue);
+        if (item && this.settle(item)) {
+            this.endSpan(item.span);
+            this.release(item.queue);
+            this.advance(item.queue);
+        }
+        this.dispatch();
+    }
+
+    /**
+     * Get processing queue settled by `next()`. Without the processed queue,
+     * it is the queue which its handler is being called or the only processing
+     * queue which handler did not return a promise.
+     *
+     * @param {any} queue The processed queue
+     * @returns {QueueItem|undefined}
+     */
+    itemOf(queue) {
+        if (queue !== undefined) {
+            return this.items.find(item => item.queue === queue);
+        }
+        if (this.current) {
+            return this.current;
+        }
+        if (this.items.length <= 1) {
+            return this.items[0];
+        }
+        const items = this.items.filter(item => !item.promised);
+        if (items.length > 1 && (this.key || this.partition || this.tracer)) {
+            throw new Error('The processed queue must be passed to next() when more than one queue is processing!');
+        }
+        return items[0];
+    }
+
+    /**
+     * Get queue key.
+     *
+     * @param {any} queue The queue
+     * @returns {any}
+     */
+    keyOf(queue) {
+        return typeof this.key === 'function' ? this.key(RetryEntry.unwrap(queue)) : undefined;
+    }
+
+    /**
+     * Get queue partition key.
+     *
+     * @param {any} queue The queue
+     * @returns {any}
+     */
+    partitionOf(queue) {
+        return this.partition(RetryEntry.unwrap(queue));
+    }
+
+    /**
+     * Add queues, a queue which its key is already waiting is merged or ignored
+     * and a queue which its key is being processed is ignored.
+     *
+     * @param {any[]} queues The queues
+     * @param {boolean} top True to add queues on top
+     */
+    enqueue(queues, top) {
+        const items = [];
+        for (const queue of queues) {
+            const key = this.keyOf(queue);
+            if (key !== undefined) {
+                if (this.waiting.has(key) && typeof this.merge === 'function') {
+                    const old = this.waiting.get(key);
+                    let merged = this.merge(RetryEntry.unwrap(old), RetryEntry.unwrap(queue));
+                    // keep the attempts of retried queue
+                    const retried = old instanceof RetryEntry ? old : queue;
+                    if (retried instanceof RetryEntry) {
+                        merged = new RetryEntry(merged, retried.attempts);
+                    }
+                    this.waiting.set(key, merged);
+                    if (items.indexOf(old) >= 0) {
+                        items[items.indexOf(old)] = merged;
+                    } else {
+                        this.replace(old, merged);
+                    }
+                    this.emit('duplicate', RetryEntry.unwrap(queue), key);
+                    continue;
+                }
+                if (this.waiting.has(key) || this.inflight.has(key)) {
+                    this.emit('duplicate', RetryEntry.unwrap(queue), key);
+                    continue;
+                }
+                this.waiting.set(key, queue);
+            }
+            items.push(queue);
+        }
+        const ready = this.partition ? items.filter(queue => this.assign(queue, top)) : items;
+        if (top) {
+            this.queues.unshift(...ready);
         } else {
+            this.queues.push(...ready);
+        }
+    }
+
+    /**
+     * Assign queue to its partition, the queue is added to the partition when
+     * the partition is active, otherwise the partition is activated.
+     *
+     * @param {any} queue The queue
+     * @param {boolean} top True to add queue on top of partition
+     * @returns {boolean} True if the queue can be added to queues
+     */
+    assign(queue, top) {
+        const key = this.partitionOf(queue);
+        const items = this.partitions.get(key);
+        if (items) {
+            if (top) {
+                items.unshift(queue);
+            } else {
+                items.push(queue);
+            }
+            return false;
+        }
+        this.partitions.set(key, []);
+        return true;
+    }
+
+    /**
+     * Add next queue of the partition of processed queue, an idle partition
+     * is removed.
+     *
+     * @param {any} queue The processed queue
+     */
+    advance(queue) {
+        if (this.partition) {
+            const key = this.partitionOf(queue);
+            const items = this.partitions.get(key);
+            if (items && items.length) {
+                this.queues.push(items.shift());
+            } else {
+                this.partitions.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Replace waiting queue.
+     *
+     * @param {any} old The waiting queue
+     * @param {any} queue The replacement
+     */
+    replace(old, queue) {
+        const items = this.partition ? this.partitions.get(this.partitionOf(old)) : null;
+        if (items && items.indexOf(old) >= 0) {
+            items[items.indexOf(old)] = queue;
+        } else if (this.queues instanceof PriorityQueues) {
+            this.queues.replace(old, queue);
+        } else {
+            this.queues[this.queues.indexOf(old)] = queue;
+        }
+    }
+
+    /**
+     * Release the key of processed queue.
+     *
+     * @param {any} queue The queue
+     */
+    release(queue) {
+        const key = this.keyOf(queue);
+        if (key !== undefined) {
+            this.inflight.delete(key);
+        }
+    }
+
+    /**
+     * Check if a queue with key is waiting, being processed, or waiting to be
+     * retried.
+     *
+     * @param {any} key Queue key
+     * @returns {boolean}
+     */
+    has(key) {
+        return this.waiting.has(key) || this.inflight.has(key);
+    }
+
+    /**
+     * Remove waiting queue with key, including queue which is waiting to be
+     * retried.
+     *
+     * @param {any} key Queue key
+     * @returns {boolean} True if queue is removed
+     */
+    remove(key) {
+        if (!this.waiting.has(key)) {
+            for (const [timer, queue] of this.retries) {
+                if (this.keyOf(queue) === key) {
+                    clearTimeout(timer);
+                    this.retries.delete(timer);
+                    this.release(queue);
+                    this.advance(queue);
+                    this.dispatch();
+                    return true;
+                }
+            }
+            return false;
+        }
+        const queue = this.waiting.get(key);
+        this.waiting.delete(key);
+        const items = this.partition ? this.partitions.get(this.partitionOf(queue)) : null;
+        if (items && items.indexOf(queue) >= 0) {
+            items.splice(items.indexOf(queue), 1);
+        } else {
+            if (this.queues instanceof PriorityQueues) {
+                this.queues.remove(queue);
+            } else {
+                this.queues.splice(this.queues.indexOf(queue), 1);
+            }
+            this.advance(queue);
+        }
+        this.dispatch();
+        return true;
+    }
+
+    /**
+     * Fill the free processing slots with available queue. Once all queue
+     * has been processed or processing is stopped, `done` event will be
+     * emitted.
+     */
+    dispatch() {
+        while (!this.stopped && this.running < this.concurrency && (this.queues.length || this.source)) {
+            if (this.paused) {
+                return;
+            }
+            if (this.queues.length === 0) {
+                if (!this.pull()) {
+                    return;
+                }
+                continue;
+            }
+            if (typeof this.check === 'function' && !this.check()) {
+                return this.checkInterval > 0 ? this.wait(this.checkInterval) : undefined;
+            }
+            if (this.limiter) {
+                const delay = this.limiter.wait();
+                if (delay > 0) {
+                    return this.wait(delay);
+                }
+                this.limiter.take();
+            }
+            this.running++;
+            let queue = this.queues.shift(), attempts = 0;
+            if (queue instanceof RetryEntry) {
+                attempts = queue.attempts;
+                queue = queue.queue;
+            }
+            const key = this.keyOf(queue);
+            if (key !== undefined) {
+                this.waiting.delete(key);
+                this.inflight.add(key);
+            }
+            this.consume(queue, attempts);
+        }
+        if (this.running === 0 && !this.pulling && (this.stopped ||
+            (this.queues.length === 0 && !this.source && !this.retries.size && !this.schedules.size))) {
             this.done();
         }
     }
 
+    /**
+     * Pull a queue from source.
+     *
+     * @returns {boolean} True if the queue is immediately available
+     */
+    pull() {
+        if (this.pulling) {
+            return false;
+        }
+        let res;
+        try {
+            res = this.source.next();
+        } catch (err) {
+            this.pulled(null, err);
+            return true;
+        }
+        if (res && typeof res.then === 'function') {
+            this.pulling = true;
+            res.then(
+                res => {
+                    this.pulling = false;
+                    this.pulled(res);
+                    this.dispatch();
+                },
+                err => {
+                    this.pulling = false;
+                    this.pulled(null, err);
+                    this.dispatch();
+                }
+            );
+            return false;
+        }
+        this.pulled(res);
+        return true;
+    }
+
+    /**
+     * Add pulled queue, source is ended when it's done or failed.
+     *
+     * @param {IteratorResult} res Iterator result
+     * @param {Error} err Source error
+     */
+    pulled(res, err) {
+        if (err) {
+            this.source = null;
+            if (this.listenerCount('error')) {
+                this.emit('error', err);
+            }
+        } else if (res.done) {
+            this.source = null;
+        } else {
+            this.enqueue([res.value]);
+        }
+    }
+
+    /**
+     * Wait for check callback or rate limit and then retry dispatching.
+     *
+     * @param {number} delay Delay in milliseconds
+     */
+    wait(delay) {
+        if (!this.timer) {
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.dispatch();
+            }, delay);
+        }
+    }
+
+    /**
+     * Pause processing, queues being processed are not affected.
+     */
+    pause() {
+        this.paused = true;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Resume processing, check callback is re-evaluated.
+     */
+    resume() {
+        this.paused = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        if (typeof this.handler === 'function' && (this.queues.length || this.source)) {
+            this.dispatch();
+        }
+    }
+
+    /**
+     * Get pending state.
+     *
+     * @returns {boolean}
+     */
+    get pending() {
+        return this.paused;
+    }
+
+    /**
+     * Set pending state, same as calling `pause()` or `resume()`.
+     *
+     * @param {boolean} value Pending state
+     */
+    set pending(value) {
+        if (value) {
+            this.pause();
+        } else {
+            this.resume();
+        }
+    }
+
+    /**
+     * Get the time until next queue can be processed according to the rate
+     * limit.
+     *
+     * @returns {number} Time in milliseconds, zero if queue can be processed now
+     */
+    nextSlot() {
+        return this.limiter ? this.limiter.wait() : 0;
+    }
+
     /**
      * Clear queue.
      */
     clear() {
-        this.queues = [];
+        if (this.queues instanceof PriorityQueues) {
+            this.queues.clear();
+        } else {
+            this.queues = [];
+        }
+        this.waiting.clear();
+        this.partitions.clear();
+        for (const [timer, queue] of this.retries) {
+            clearTimeout(timer);
+            this.release(queue);
+        }
+        this.retries.clear();
+        this.schedules.clear();
+        this.arm();
+        this.source = null;
     }
 
     /**
-     * Emit `done` event.
+     * Schedule queue to be added later, either once after a delay or at a
+     * time, or repeatedly every interval or according to a cron expression.
+     *
+     * @param {any} queue The queue
+     * @param {object} options Schedule options
+     * @param {number} options.delay Delay in milliseconds
+     * @param {Date|number} options.at Time to add the queue
+     * @param {number} options.every Repeat interval in milliseconds, first added after the interval unless
+     * `delay` or `at` is specified
+     * @param {string} options.cron Cron expression such as `0 2 * * *` to add the queue repeatedly
+     * @returns {number} Schedule id
+     */
+    schedule(queue, options) {
+        options = options || {};
+        const now = this.clock.now();
+        const entry = {id: ++this.scheduleSeq, queue, every: options.every > 0 ? options.every : 0};
+        if (options.cron) {
+            entry.cron = new Cron(options.cron);
+        }
+        if (options.at !== undefined) {
+            entry.time = options.at instanceof Date ? options.at.getTime() : Number(options.at);
+        } else if (options.delay !== undefined) {
+            entry.time = now + Number(options.delay);
+        } else if (entry.cron) {
+            entry.time = entry.cron.next(now);
+        } else {
+            entry.time = now + entry.every;
+        }
+        if (entry.time === null || isNaN(entry.time)) {
+            throw new Error('Queue schedule time is invalid!');
+        }
+        this.schedules.push(entry);
+        this.arm();
+        return entry.id;
+    }
+
+    /**
+     * Cancel scheduled queue.
+     *
+     * @param {number} id Schedule id
+     * @returns {boolean} True if schedule is cancelled
+     */
+    unschedule(id) {
+        const idx = this.schedules.values.findIndex(entry => entry.id === id);
+        if (idx >= 0) {
+            this.schedules.removeAt(idx);
+            this.arm();
+            this.dispatch();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Start a single timer for the earliest scheduled queue.
+     */
+    arm() {
+        if (this.scheduler) {
+            this.clock.clearTimeout(this.scheduler);
+            this.scheduler = null;
+        }
+        const entry = this.schedules.peek();
+        if (entry) {
+            // limit the delay to the maximum timer delay
+            const delay = Math.min(Math.max(entry.time - this.clock.now(), 0), 2147483647);
+            this.scheduler = this.clock.setTimeout(() => {
+                this.scheduler = null;
+                this.fire();
+            }, delay);
+        }
+    }
+
+    /**
+     * Add scheduled queues which are due and reschedule the repeated ones.
+     */
+    fire() {
+        const now = this.clock.now();
+        while (this.schedules.size && this.schedules.peek().time <= now) {
+            const entry = this.schedules.pop();
+            this.enqueue([entry.queue]);
+            this.emit('scheduled', entry.queue, entry.id);
+            if (entry.cron || entry.every) {
+                if (entry.cron) {
+                    entry.time = entry.cron.next(now);
+                } else {
+                    entry.time += entry.every;
+                    // skip missed intervals
+                    if (entry.time <= now) {
+                        entry.time = now + entry.every;
+                    }
+                }
+                if (entry.time !== null) {
+                    this.schedules.push(entry);
+                }
+            }
+        }
+        this.arm();
+        this.dispatch();
+    }
+
+    /**
+     * Emit `done` event, worker threads pool is closed before.
      */
     done() {
         process.nextTick(() => {
+            if (this.pool) {
+                this.pool.close();
+                this.pool = null;
+            }
             this.emit('done');
             this.queue = null;
         });
     }
 
     /**
-     * Add more queue either on top of existing queue or as next queue.
+     * Consume queue using `for await`.
+     *
+     * @returns {AsyncIterator}
+     */
+    [Symbol.asyncIterator]() {
+        return new QueueIterator(this);
+    }
+
+    /**
+     * Add more queue either on top of existing queue or as next queue. A
+     * stopped queue will be restarted. When priority is used, queue on top
+     * is placed before the queue with same priority.
      *
      * @param {any[]} queues Queue to add
      * @param {boolean} top True to prioritize queue on top
      */
     requeue(queues, top) {
-        const processNext = this.queues.length === 0 && this.queue === null;
-        if (top) {
-            this.queues.unshift(...queues);
-        } else {
-            this.queues.push(...queues);
+        this.enqueue(queues, top);
+        this.stopped = false;
+        this.dispatch();
+    }
+}
+
+/**
+ * Queue async iterator, each queue is considered processed once the next
+ * queue is requested.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class QueueIterator {
+
+    /**
+     * Constructor.
+     *
+     * @param {Queue} queue The queue
+     */
+    constructor(queue) {
+        /** @type {Queue} */
+        this.queue = queue;
+        /** @type {Array} */
+        this.items = [];
+        /** @type {Array} */
+        this.waiters = [];
+        /** @type {Function[]} */
+        this.releases = [];
+        /** @type {boolean} */
+        this.finished = false;
+        /** @type {Error} */
+        this.err = null;
+        this.onDone = () => this.finish();
+        this.onError = err => this.finish(err);
+        queue.once('done', this.onDone);
+        queue.on('error', this.onError);
+        queue.handler = item => new Promise(resolve => {
+            this.items.push([item, resolve]);
+            this.flush();
+        });
+        queue.dispatch();
+    }
+
+    /**
+     * Deliver available queues to the waiting consumers.
+     */
+    flush() {
+        while (this.waiters.length && (this.items.length || this.finished)) {
+            const [resolve, reject] = this.waiters.shift();
+            if (this.items.length) {
+                const [item, release] = this.items.shift();
+                this.releases.push(release);
+                resolve({value: item, done: false});
+            } else if (this.err) {
+                reject(this.err);
+                this.err = null;
+            } else {
+                resolve({value: undefined, done: true});
+            }
+        }
+    }
+
+    /**
+     * Finish iteration.
+     *
+     * @param {Error} err The error
+     */
+    finish(err) {
+        if (!this.finished) {
+            this.finished = true;
+            this.err = err || null;
+            this.queue.removeListener('done', this.onDone);
+            this.queue.removeListener('error', this.onError);
+            this.flush();
+        }
+    }
+
+    /**
+     * Release queues which have been delivered.
+     */
+    release() {
+        while (this.releases.length) {
+            this.releases.shift()();
+        }
+    }
+
+    /**
+     * Get next queue, previously delivered queue is marked as processed.
+     *
+     * @returns {Promise<IteratorResult>}
+     */
+    next() {
+        this.release();
+        return new Promise((resolve, reject) => {
+            this.waiters.push([resolve, reject]);
+            this.flush();
+        });
+    }
+
+    /**
+     * Stop queue processing when iteration is ended early.
+     *
+     * @returns {Promise<IteratorResult>}
+     */
+    return() {
+        this.queue.stopped = true;
+        this.finish();
+        this.release();
+        return Promise.resolve({value: undefined, done: true});
+    }
+
+    /**
+     * Get the iterator.
+     *
+     * @returns {QueueIterator}
+     */
+    [Symbol.asyncIterator]() {
+        return this;
+    }
+}
+
+/**
+ * Processing queue, settled once its processing is done.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class QueueItem {
+
+    /**
+     * Constructor.
+     *
+     * @param {any} queue The queue
+     * @param {number} attempts Number of previous attempt
+     * @param {Span} span Queue span
+     */
+    constructor(queue, attempts, span) {
+        /** @type {any} */
+        this.queue = queue;
+        /** @type {number} */
+        this.attempts = attempts;
+        /** @type {Span} */
+        this.span = span;
+        /** @type {boolean} */
+        this.promised = false;
+        /** @type {boolean} */
+        this.settled = false;
+    }
+}
+
+/**
+ * Retried queue entry, carries the number of attempt of the queue.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class RetryEntry {
+
+    /**
+     * Constructor.
+     *
+     * @param {any} queue The queue
+     * @param {number} attempts Number of attempt
+     */
+    constructor(queue, attempts) {
+        /** @type {any} */
+        this.queue = queue;
+        /** @type {number} */
+        this.attempts = attempts;
+    }
+
+    /**
+     * Get the queue of retried entry.
+     *
+     * @param {any} queue The queue or retried entry
+     * @returns {any}
+     */
+    static unwrap(queue) {
+        return queue instanceof RetryEntry ? queue.queue : queue;
+    }
+}
+
+/**
+ * Sliding window rate limiter.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class RateLimiter {
+
+    /**
+     * Constructor.
+     *
+     * @param {number} count Maximum number of slot in an interval
+     * @param {number} interval The interval in milliseconds
+     */
+    constructor(count, interval) {
+        if (!(count > 0) || !(interval > 0)) {
+            throw new Error('Rate limit count and interval must be greater than zero!');
         }
-        if (processNext) {
-            this.next();
+        /** @type {number} */
+        this.count = count;
+        /** @type {number} */
+        this.interval = interval;
+        /** @type {number[]} */
+        this.times = [];
+    }
+
+    /**
+     * Get the time until next slot is available.
+     *
+     * @returns {number}
+     */
+    wait() {
+        const now = Date.now();
+        while (this.times.length && this.times[0] <= now - this.interval) {
+            this.times.shift();
         }
+        return this.times.length < this.count ? 0 : this.times[0] + this.interval - now;
+    }
+
+    /**
+     * Take a slot.
+     */
+    take() {
+        this.times.push(Date.now());
+    }
+}
+
+/**
+ * Priority queues, an array like queue storage which always returns queue with
+ * highest priority first and preserves the order of queue with same priority.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class PriorityQueues {
+
+    /**
+     * Constructor.
+     *
+     * @param {priorityCallback|string} priority Queue priority callback or property name
+     */
+    constructor(priority) {
+        /** @type {priorityCallback} */
+        this.priority = typeof priority === 'function' ? priority :
+            queue => queue !== null && typeof queue === 'object' ? queue[priority] : 0;
+        this.heap = new Heap((a, b) => b.priority - a.priority || a.seq - b.seq);
+        this.head = 0;
+        this.tail = 0;
+    }
+
+    /**
+     * Get number of queue.
+     *
+     * @returns {number}
+     */
+    get length() {
+        return this.heap.size;
+    }
+
+    /**
+     * Create heap entry of queue.
+     *
+     * @param {any} queue The queue
+     * @param {number} seq Queue sequence
+     * @returns {object}
+     */
+    entry(queue, seq) {
+        return {queue, priority: Number(this.priority(RetryEntry.unwrap(queue))) || 0, seq};
+    }
+
+    /**
+     * Add queues after queues with same priority.
+     *
+     * @param {...any} queues The queues
+     * @returns {number}
+     */
+    push(...queues) {
+        for (const queue of queues) {
+            this.heap.push(this.entry(queue, this.tail++));
+        }
+        return this.length;
+    }
+
+    /**
+     * Add queues before queues with same priority.
+     *
+     * @param {...any} queues The queues
+     * @returns {number}
+     */
+    unshift(...queues) {
+        for (let i = queues.length - 1; i >= 0; i--) {
+            this.heap.push(this.entry(queues[i], --this.head));
+        }
+        return this.length;
+    }
+
+    /**
+     * Remove and return queue with highest priority.
+     *
+     * @returns {any}
+     */
+    shift() {
+        const entry = this.heap.pop();
+        return entry ? entry.queue : undefined;
+    }
+
+    /**
+     * Remove a queue.
+     *
+     * @param {any} queue The queue
+     * @returns {boolean}
+     */
+    remove(queue) {
+        const idx = this.heap.values.findIndex(entry => entry.queue === queue);
+        if (idx >= 0) {
+            this.heap.removeAt(idx);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Replace a queue, the replacement keeps the queue order but its priority
+     * is re-evaluated.
+     *
+     * @param {any} old The queue to replace
+     * @param {any} queue The replacement
+     * @returns {boolean}
+     */
+    replace(old, queue) {
+        const idx = this.heap.values.findIndex(entry => entry.queue === old);
+        if (idx >= 0) {
+            const entry = this.heap.removeAt(idx);
+            this.heap.push(this.entry(queue, entry.seq));
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Remove all queues.
+     */
+    clear() {
+        this.heap.clear();
     }
 }
 
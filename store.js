@@ -0,0 +1,158 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Work checkpoint store.
+ *
+ * A store keeps the works state keyed by run id, so the works can be resumed
+ * later. The state must be JSON serializable.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class Store {
+
+    /**
+     * Load works state.
+     *
+     * @param {string} runId Run id
+     * @returns {Promise<object|null>}
+     */
+    load(runId) {
+        return Promise.reject(new Error('Store load is not implemented!'));
+    }
+
+    /**
+     * Save works state.
+     *
+     * @param {string} runId Run id
+     * @param {object} state Works state
+     * @returns {Promise<undefined>}
+     */
+    save(runId, state) {
+        return Promise.reject(new Error('Store save is not implemented!'));
+    }
+
+    /**
+     * Remove works state.
+     *
+     * @param {string} runId Run id
+     * @returns {Promise<undefined>}
+     */
+    remove(runId) {
+        return Promise.reject(new Error('Store remove is not implemented!'));
+    }
+}
+
+/**
+ * In memory checkpoint store.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class MemoryStore extends Store {
+
+    constructor() {
+        super();
+        /** @type {Map<string, string>} */
+        this.states = new Map();
+    }
+
+    load(runId) {
+        return Promise.resolve(this.states.has(runId) ? JSON.parse(this.states.get(runId)) : null);
+    }
+
+    save(runId, state) {
+        this.states.set(runId, JSON.stringify(state));
+        return Promise.resolve();
+    }
+
+    remove(runId) {
+        this.states.delete(runId);
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Filesystem checkpoint store, each state is saved as JSON file in a directory.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FileStore extends Store {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} dir The directory to save to
+     */
+    constructor(dir) {
+        super();
+        /** @type {string} */
+        this.dir = dir;
+    }
+
+    /**
+     * Get state filename.
+     *
+     * @param {string} runId Run id
+     * @returns {string}
+     */
+    getFilename(runId) {
+        return path.join(this.dir, `${encodeURIComponent(runId)}.json`);
+    }
+
+    load(runId) {
+        return fs.promises.readFile(this.getFilename(runId), 'utf8')
+            .then(content => JSON.parse(content))
+            .catch(err => {
+                if (err.code === 'ENOENT') {
+                    return null;
+                }
+                throw err;
+            });
+    }
+
+    save(runId, state) {
+        const filename = this.getFilename(runId);
+        const tmpfile = `${filename}.tmp`;
+        return fs.promises.mkdir(this.dir, {recursive: true})
+            .then(() => fs.promises.writeFile(tmpfile, JSON.stringify(state)))
+            .then(() => fs.promises.rename(tmpfile, filename));
+    }
+
+    remove(runId) {
+        return fs.promises.unlink(this.getFilename(runId))
+            .catch(err => {
+                if (err.code !== 'ENOENT') {
+                    throw err;
+                }
+            });
+    }
+}
+
+Store.MemoryStore = MemoryStore;
+Store.FileStore = FileStore;
+
+module.exports = Store;
@@ -24,7 +24,11 @@
 
 const assert = require('node:assert');
 const test = require('node:test');
-const { Queue, Work } = require('.');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { Readable } = require('node:stream');
+const { Pool, Queue, Store, Tracer, Work } = require('.');
 const debug = require('debug')('work:test');
 
 test('queue', async (t) => {
@@ -123,6 +127,493 @@ test('queue', async (t) => {
         });
         assert.strictEqual(a.length, 0);
     });
+    await t.test('can process queue concurrently', async (t) => {
+        const res = await new Promise((resolve) => {
+            const r = [];
+            let running = 0, max = 0;
+            const q = new Queue([1, 2, 3, 4, 5, 6, 7], a => {
+                running++;
+                max = Math.max(max, running);
+                setTimeout(() => {
+                    r.push(a);
+                    running--;
+                    q.next();
+                }, 50);
+            }, {concurrency: 3});
+            q.once('done', () => resolve({r, max, running}));
+        });
+        assert.strictEqual(res.max, 3);
+        assert.strictEqual(res.running, 0);
+        assert.deepEqual(res.r, [1, 2, 3, 4, 5, 6, 7]);
+    });
+    await t.test('can pending concurrent queue', async (t) => {
+        const res = await new Promise((resolve) => {
+            const r = [];
+            let processing = true;
+            const q = new Queue([1, 2, 3, 4], a => {
+                r.push(a);
+                if (a === 2) {
+                    processing = false;
+                    setTimeout(() => {
+                        assert.deepEqual(r, [1, 2]);
+                        processing = true;
+                    }, 200);
+                }
+                setTimeout(() => q.next(), 10);
+            }, {concurrency: 2, check: () => processing});
+            q.once('done', () => resolve(r));
+        });
+        assert.deepEqual(res, [1, 2, 3, 4]);
+    });
+    await t.test('can process queue using promise handler', async (t) => {
+        const res = await new Promise((resolve) => {
+            const r = [];
+            const q = new Queue([1, 2, 3], a => new Promise(resolve => {
+                setTimeout(() => resolve(a * 2), 10);
+            }));
+            q.on('item-done', (a, res) => r.push([a, res]));
+            q.once('done', () => resolve(r));
+        });
+        assert.deepEqual(res, [[1, 2], [2, 4], [3, 6]]);
+    });
+    await t.test('can process queue using async handler calling next', async (t) => {
+        let running = 0, max = 0, done = 0;
+        const r = [];
+        const q = new Queue([1, 2, 3, 4, 5], async a => {
+            max = Math.max(max, ++running);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            running--;
+            r.push(a);
+            q.next();
+        });
+        q.on('done', () => done++);
+        await new Promise(resolve => q.once('done', resolve));
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.deepEqual(r, [1, 2, 3, 4, 5]);
+        assert.strictEqual(max, 1);
+        assert.strictEqual(done, 1);
+    });
+    await t.test('can continue on failed queue', async (t) => {
+        const res = await new Promise((resolve) => {
+            const r = [];
+            const q = new Queue([1, 2, 3], a => {
+                if (a === 1) {
+                    throw new Error('thrown');
+                }
+                if (a === 2) {
+                    return Promise.reject(new Error('rejected'));
+                }
+                return Promise.resolve(a);
+            });
+            q.on('error', (err, a) => r.push([a, err.message]));
+            q.on('item-done', (a, res) => r.push([a, res]));
+            q.once('done', () => resolve(r));
+        });
+        assert.deepEqual(res, [[1, 'thrown'], [2, 'rejected'], [3, 3]]);
+    });
+    await t.test('can stop on failed queue', async (t) => {
+        const a = [1, 2, 3];
+        const res = await new Promise((resolve) => {
+            const r = [];
+            const q = new Queue(a, a => a === 2 ? Promise.reject(new Error('failed')) : Promise.resolve(r.push(a)),
+                {stopOnError: true});
+            q.on('error', () => {});
+            q.once('done', () => resolve(r));
+        });
+        assert.deepEqual(res, [1]);
+        assert.deepEqual(a, [3]);
+    });
+    await t.test('can process queue by priority', async (t) => {
+        const a = [{id: 1, p: 1}, {id: 2}, {id: 3, p: 5}, {id: 4, p: 1}];
+        const res = await new Promise((resolve) => {
+            const r = [];
+            const q = new Queue(a, a => {
+                r.push(a.id);
+                if (a.id === 3) {
+                    q.requeue([{id: 5, p: 1}, {id: 6, p: 9}]);
+                    q.requeue([{id: 7, p: 1}, {id: 8, p: 1}], true);
+                }
+                q.next();
+            }, {priority: 'p'});
+            q.once('done', () => resolve(r));
+        });
+        assert.deepEqual(res, [3, 6, 7, 8, 1, 4, 5, 2]);
+        assert.strictEqual(a.length, 0);
+    });
+    await t.test('can process queue using priority callback', async (t) => {
+        const res = await new Promise((resolve) => {
+            const r = [];
+            const q = new Queue([3, 1, 4, 1, 5, 9, 2, 6], a => {
+                r.push(a);
+                q.next();
+            }, {priority: a => -a});
+            q.once('done', () => resolve(r));
+        });
+        assert.deepEqual(res, [1, 1, 2, 3, 4, 5, 6, 9]);
+    });
+    await t.test('can limit queue processing rate', async (t) => {
+        const res = await new Promise((resolve) => {
+            const r = [];
+            const slots = [];
+            const start = Date.now();
+            const q = new Queue([1, 2, 3, 4, 5], a => {
+                r.push(Date.now() - start);
+                slots.push(q.nextSlot());
+                return Promise.resolve();
+            }, {concurrency: 5, rateLimit: {count: 2, interval: 100}});
+            q.once('done', () => resolve({r, slots}));
+        });
+        assert.strictEqual(res.r.length, 5);
+        assert.ok(res.r[1] < 50);
+        assert.ok(res.r[2] >= 95 && res.r[3] < 150);
+        assert.ok(res.r[4] >= 195);
+        assert.ok(res.slots[1] > 0);
+    });
+    await t.test('can pause and resume queue', async (t) => {
+        const res = await new Promise((resolve) => {
+            const r = [];
+            const q = new Queue([1, 2, 3], a => {
+                r.push(a);
+                if (a === 1) {
+                    q.pause();
+                    setTimeout(() => {
+                        assert.deepEqual(r, [1]);
+                        assert.strictEqual(q.pending, true);
+                        assert.strictEqual(q.timer, null);
+                        q.resume();
+                    }, 100);
+                }
+                q.next();
+            });
+            q.once('done', () => resolve(r));
+        });
+        assert.deepEqual(res, [1, 2, 3]);
+    });
+    await t.test('can re-evaluate check callback on resume', async (t) => {
+        const res = await new Promise((resolve) => {
+            const r = [];
+            let checks = 0, processing = true;
+            const q = new Queue([1, 2], a => {
+                r.push(a);
+                processing = false;
+                setTimeout(() => {
+                    processing = true;
+                    q.resume();
+                }, 100);
+                q.next();
+            }, {checkInterval: 0, check: () => {
+                checks++;
+                return processing;
+            }});
+            q.once('done', () => resolve({r, checks}));
+        });
+        assert.deepEqual(res.r, [1, 2]);
+        assert.strictEqual(res.checks, 3);
+    });
+    await t.test('can process queue from iterable', async (t) => {
+        const pulled = [];
+        function* gen() {
+            for (let i = 1; i <= 4; i++) {
+                pulled.push(i);
+                yield i;
+            }
+        }
+        async function* agen() {
+            yield* gen();
+        }
+        for (const source of [new Set([1, 2, 3, 4]), gen(), agen(), Readable.from(gen())]) {
+            pulled.length = 0;
+            const res = await new Promise((resolve) => {
+                const r = [];
+                const q = new Queue(source, a => {
+                    if (!(source instanceof Set)) {
+                        assert.ok(pulled.length <= a + 2);
+                    }
+                    r.push(a);
+                    return new Promise(resolve => setTimeout(resolve, 10));
+                }, {concurrency: 2});
+                q.once('done', () => resolve(r));
+            });
+            assert.deepEqual(res, [1, 2, 3, 4]);
+        }
+    });
+    await t.test('can pause and resume queue from iterable', async (t) => {
+        function* gen() {
+            yield* [1, 2, 3];
+        }
+        const res = await new Promise((resolve) => {
+            const r = [];
+            const q = new Queue(gen(), a => {
+                r.push(a);
+                if (a === 1) {
+                    q.pause();
+                    setTimeout(() => q.resume(), 20);
+                }
+                return Promise.resolve();
+            });
+            q.once('done', () => resolve(r));
+        });
+        assert.deepEqual(res, [1, 2, 3]);
+    });
+    await t.test('can consume queue using for await', async (t) => {
+        const r = [];
+        const q = new Queue([1, 2, 3]);
+        for await (const a of q) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+            r.push(a);
+        }
+        assert.deepEqual(r, [1, 2, 3]);
+        async function* agen() {
+            yield 1;
+            throw new Error('source failed');
+        }
+        r.length = 0;
+        await assert.rejects(async () => {
+            for await (const a of new Queue(agen())) {
+                r.push(a);
+            }
+        }, {message: 'source failed'});
+        assert.deepEqual(r, [1]);
+    });
+    await t.test('can trace queue', async (t) => {
+        const tracer = new Tracer.MemoryTracer();
+        await new Promise((resolve) => {
+            const q = new Queue([1, 2], a => a === 2 ? Promise.reject(new Error('failed')) : Promise.resolve(), {tracer});
+            q.once('done', () => resolve());
+        });
+        await new Promise((resolve) => {
+            const q = new Queue(['a'], a => q.next(), {tracer});
+            q.once('done', () => resolve());
+        });
+        assert.deepEqual(tracer.spans.map(span => [span.name, span.attributes['queue.item'], span.status.code, span.ended]), [
+            ['queue', 1, Tracer.StatusCode.OK, true],
+            ['queue', 2, Tracer.StatusCode.ERROR, true],
+            ['queue', 'a', Tracer.StatusCode.OK, true],
+        ]);
+        assert.strictEqual(tracer.spans[1].exceptions[0].message, 'failed');
+        const ended = [];
+        await new Promise((resolve) => {
+            const q = new Queue(['b', 'c'], a => {
+                if (a === 'c') {
+                    q.next(a);
+                    ended.push(...tracer.spans.filter(span => span.ended).map(span => span.attributes['queue.item']));
+                    setTimeout(() => q.next('b'), 10);
+                }
+            }, {tracer, concurrency: 2});
+            q.once('done', () => resolve());
+        });
+        assert.deepEqual(ended, [1, 2, 'a', 'c']);
+    });
+    await t.test('can retry failed queue and replay dead letters', async (t) => {
+        const calls = [], retries = [], letters = [];
+        let healthy = false;
+        const q = new Queue(['a', 'b'], a => {
+            calls.push(a);
+            return a === 'b' && !healthy ? Promise.reject(new Error('failed')) : Promise.resolve();
+        }, {maxAttempts: 3, retryDelay: 5});
+        q.on('retry', (queue, err, attempts) => retries.push([queue, attempts]));
+        q.on('dead-letter', (queue, err, attempts) => letters.push([queue, err.message, attempts]));
+        await new Promise(resolve => q.once('done', resolve));
+        assert.deepEqual(calls, ['a', 'b', 'b', 'b']);
+        assert.deepEqual(retries, [['b', 1], ['b', 2]]);
+        assert.deepEqual(letters, [['b', 'failed', 3]]);
+        assert.deepEqual(q.deadLetters.map(letter => letter.queue), ['b']);
+        healthy = true;
+        const done = new Promise(resolve => q.once('done', resolve));
+        assert.strictEqual(q.replay(), 1);
+        await done;
+        assert.deepEqual(calls, ['a', 'b', 'b', 'b', 'b']);
+        assert.strictEqual(q.deadLetters.length, 0);
+    });
+    await t.test('can retry each of equal queues', async (t) => {
+        const calls = [], retries = [];
+        const q = new Queue(['x', 'x'], a => {
+            calls.push(a);
+            return calls.length <= 2 ? Promise.reject(new Error('failed')) : Promise.resolve();
+        }, {maxAttempts: 2, retryDelay: 5});
+        q.on('retry', (queue, err, attempts) => retries.push([queue, attempts]));
+        await new Promise(resolve => q.once('done', resolve));
+        assert.deepEqual(calls, ['x', 'x', 'x', 'x']);
+        assert.deepEqual(retries, [['x', 1], ['x', 1]]);
+        assert.strictEqual(q.deadLetters.length, 0);
+    });
+    await t.test('can schedule queue', async (t) => {
+        const clock = {
+            time: new Date(2026, 0, 1, 1, 0).getTime(),
+            timers: [],
+            now() {
+                return this.time;
+            },
+            setTimeout(f, delay) {
+                const timer = {f, time: this.time + delay};
+                this.timers.push(timer);
+                return timer;
+            },
+            clearTimeout(timer) {
+                this.timers = this.timers.filter(t => t !== timer);
+            },
+            tick(delay) {
+                this.time += delay;
+                for (const timer of this.timers.filter(t => t.time <= this.time)) {
+                    this.clearTimeout(timer);
+                    timer.f();
+                }
+            },
+        }
+        const items = [];
+        const q = new Queue([], a => {
+            items.push(a);
+            return Promise.resolve();
+        }, {clock});
+        q.schedule('delayed', {delay: 30000});
+        q.schedule('at', {at: new Date(2026, 0, 1, 2, 0)});
+        const every = q.schedule('every', {every: 60000});
+        q.schedule('cron', {cron: '30 1 * * *'});
+        const tick = async delay => {
+            clock.tick(delay);
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        assert.strictEqual(clock.timers.length, 1);
+        await tick(30000);
+        assert.deepEqual(items, ['delayed']);
+        await tick(30000);
+        await tick(60000);
+        assert.deepEqual(items, ['delayed', 'every', 'every']);
+        assert.ok(q.unschedule(every));
+        assert.ok(!q.unschedule(every));
+        await tick(30 * 60000);
+        await tick(30 * 60000);
+        assert.deepEqual(items, ['delayed', 'every', 'every', 'cron', 'at']);
+        assert.throws(() => q.schedule('invalid', {cron: '* * *'}), /Cron expression \* \* \* must have 5 fields!/);
+        q.clear();
+        assert.strictEqual(clock.timers.length, 0);
+    });
+    await t.test('can deduplicate queue by key', async (t) => {
+        const items = [], duplicates = [];
+        await new Promise((resolve) => {
+            const q = new Queue([{id: 1, n: 1}, {id: 2, n: 1}, {id: 1, n: 2}], a => {
+                items.push(a);
+                if (a.id === 1) {
+                    q.requeue([{id: 1, n: 3}, {id: 3, n: 1}]);
+                    assert.ok(q.has(1));
+                    assert.ok(q.has(3));
+                    assert.ok(q.remove(3));
+                    assert.ok(!q.remove(3));
+                    assert.ok(!q.has(3));
+                }
+                return Promise.resolve();
+            }, {key: a => a.id});
+            q.on('duplicate', (a, key) => duplicates.push([key, a.n]));
+            q.once('done', () => resolve());
+        });
+        assert.deepEqual(items, [{id: 1, n: 1}, {id: 2, n: 1}]);
+        assert.deepEqual(duplicates, [[1, 3]]);
+    });
+    await t.test('can deduplicate queue waiting to be retried', async (t) => {
+        const items = [], duplicates = [];
+        const q = new Queue(['a', 'b'], a => {
+            items.push(a);
+            return items.length <= 2 ? Promise.reject(new Error('failed')) : Promise.resolve();
+        }, {key: a => a, maxAttempts: 2, retryDelay: 20});
+        q.on('duplicate', (a, key) => duplicates.push(a));
+        await new Promise(resolve => setTimeout(resolve, 5));
+        assert.deepEqual(items, ['a', 'b']);
+        assert.ok(q.has('a'));
+        q.requeue(['a']);
+        assert.deepEqual(duplicates, ['a']);
+        assert.ok(q.remove('b'));
+        assert.ok(!q.has('b'));
+        await new Promise(resolve => q.once('done', resolve));
+        assert.deepEqual(items, ['a', 'b', 'a']);
+    });
+    await t.test('can merge queue with same key', async (t) => {
+        const items = [];
+        await new Promise((resolve) => {
+            const q = new Queue([{id: 1, p: 0, n: [1]}, {id: 2, p: 1, n: [1]}, {id: 1, p: 5, n: [2]}], a => {
+                items.push([a.id, a.n]);
+                return Promise.resolve();
+            }, {key: a => a.id, merge: (a, b) => ({id: a.id, p: Math.max(a.p, b.p), n: [...a.n, ...b.n]}), priority: 'p'});
+            q.once('done', () => resolve());
+        });
+        assert.deepEqual(items, [[1, [1, 2]], [2, [1]]]);
+    });
+    await t.test('can process queue by partition', async (t) => {
+        const items = [];
+        let running = 0, maxRunning = 0, failed = false;
+        const q = new Queue([
+            {user: 'a', n: 1}, {user: 'a', n: 2}, {user: 'b', n: 1},
+            {user: 'a', n: 3}, {user: 'b', n: 2}, {user: 'c', n: 1},
+        ], a => new Promise((resolve, reject) => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            assert.ok(q.partitions.size <= 3);
+            setTimeout(() => {
+                running--;
+                if (a.user === 'a' && a.n === 2 && !failed) {
+                    failed = true;
+                    return reject(new Error('failed'));
+                }
+                items.push(`${a.user}${a.n}`);
+                resolve();
+            }, a.user === 'a' ? 10 : 1);
+        }), {partition: a => a.user, concurrency: 2, maxAttempts: 2});
+        await new Promise(resolve => q.once('done', resolve));
+        assert.strictEqual(maxRunning, 2);
+        assert.deepEqual(items.filter(item => item.startsWith('a')), ['a1', 'a2', 'a3']);
+        assert.deepEqual(items.filter(item => item.startsWith('b')), ['b1', 'b2']);
+        assert.ok(items.includes('c1'));
+        assert.strictEqual(q.partitions.size, 0);
+    });
+    await t.test('can only advance partition of known processed queue', async (t) => {
+        const items = [], queues = [];
+        const q = new Queue([{user: 'a', n: 1}, {user: 'b', n: 1}, {user: 'a', n: 2}], a => {
+            items.push(`${a.user}${a.n}`);
+            queues.push(a);
+        }, {partition: a => a.user, concurrency: 2});
+        const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+        const done = new Promise(resolve => q.once('done', resolve));
+        await tick();
+        assert.deepEqual(items, ['a1', 'b1']);
+        assert.throws(() => q.next(), {message: 'The processed queue must be passed to next() when more than one queue is processing!'});
+        q.next(queues[1]);
+        await tick();
+        assert.deepEqual(items, ['a1', 'b1']);
+        q.next();
+        await tick();
+        assert.deepEqual(items, ['a1', 'b1', 'a2']);
+        q.next();
+        await done;
+    });
+    await t.test('can process queue in worker threads', async (t) => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ntwork-'));
+        const filename = path.join(dir, 'handler.js');
+        fs.writeFileSync(filename, `module.exports = x => {
+            if (x < 0) {
+                throw new Error('negative');
+            }
+            return x * 2;
+        }`);
+        try {
+            const results = [], errors = [];
+            const q = new Queue([1, 2, -1, 3], filename, {poolSize: 2, concurrency: 2});
+            q.on('item-done', (x, res) => results.push(res));
+            q.on('error', (err, x) => errors.push([x, err.message]));
+            await new Promise(resolve => q.once('done', resolve));
+            assert.deepEqual(results.sort(), [2, 4, 6]);
+            assert.deepEqual(errors, [[-1, 'negative']]);
+            assert.strictEqual(q.pool, null);
+            const worker = Work.thread(filename, {size: 1, data: w => w.getRes('a') + 1});
+            const res = await Work.works([
+                ['a', () => Promise.resolve(4)],
+                ['b', worker],
+            ]);
+            assert.strictEqual(res, 10);
+            await worker.close();
+            await assert.rejects(new Pool(path.join(dir, 'none.js'), {size: 1}).run(1), /Cannot find module/);
+        } finally {
+            fs.rmSync(dir, {recursive: true, force: true});
+        }
+    });
 });
 test('work queue', async (t) => {
     await t.test('worker is function', async (t) => {
@@ -285,5 +776,460 @@ test('work queue', async (t) => {
             .catch(() => resolve());
         });
         assert.strictEqual(res, 'This is an another error');
+        Work.setOnError();
+    });
+    await t.test('can retry failed worker', async (t) => {
+        let n = 0;
+        const attempts = [];
+        const res = await Work.works([
+            [() => ++n < 3 ? Promise.reject(new Error('failed')) : Promise.resolve(n), {retries: 3, delay: 10, backoff: 'exponential'}],
+        ], {
+            onWork(worker, w, attempt) {
+                attempts.push(attempt);
+            }
+        });
+        assert.strictEqual(res, 3);
+        assert.deepEqual(attempts, [1, 2, 3]);
+    });
+    await t.test('will reject when retry is exhausted or not allowed', async (t) => {
+        let attempt;
+        await assert.rejects(Work.works([
+            ['step', () => Promise.reject(new Error('always failed')), () => true, {retries: 2}],
+        ], {
+            listeners: {
+                'step:error': e => attempt = e.attempt,
+            }
+        }), {message: 'always failed'});
+        assert.strictEqual(attempt, 3);
+        await assert.rejects(Work.works([
+            [() => Promise.reject(new Error('fatal')), {retries: 2, retryIf: err => err.message !== 'fatal'}],
+        ], {
+            listeners: {
+                'step:error': e => attempt = e.attempt,
+            }
+        }), {message: 'fatal'});
+        assert.strictEqual(attempt, 1);
+    });
+    await t.test('can retry shared worker concurrently', async (t) => {
+        let n = 0;
+        const works = [
+            Work.parallel([
+                [() => new Promise((resolve, reject) => setTimeout(() => reject(new Error(`failed ${++n}`)), 10)), {retries: 2}],
+            ]),
+        ];
+        await Promise.all([
+            assert.rejects(Work.works(works)),
+            assert.rejects(Work.works(works)),
+        ]);
+        assert.strictEqual(n, 6);
+    });
+    await t.test('can time out worker', async (t) => {
+        let res;
+        await assert.rejects(Work.works([
+            [() => Promise.resolve(1)],
+            ['slow', () => new Promise(() => {}), {timeout: 50}],
+        ], {
+            async onDone(w, err) {
+                res = err;
+            }
+        }), err => err instanceof Work.WorkTimeoutError && err.idx === 1 && err.stepName === 'slow');
+        assert.ok(res instanceof Work.WorkTimeoutError);
+    });
+    await t.test('will abort timed out attempt', async (t) => {
+        const log = [];
+        let n = 0;
+        await assert.rejects(Work.works([
+            ['slow', (w, signal) => new Promise((resolve, reject) => {
+                const attempt = ++n;
+                log.push(`start ${attempt}`);
+                signal.addEventListener('abort', () => {
+                    log.push(`abort ${attempt}`);
+                    reject(signal.reason);
+                });
+            }), {timeout: 20, retries: 1}],
+        ]), err => err instanceof Work.WorkTimeoutError && err.stepName === 'slow');
+        assert.deepEqual(log, ['start 1', 'abort 1', 'start 2', 'abort 2']);
+    });
+    await t.test('can time out all works', async (t) => {
+        const started = [];
+        await assert.rejects(Work.works([
+            ['first', () => new Promise(resolve => setTimeout(() => resolve(started.push(1)), 30))],
+            ['second', () => new Promise(resolve => setTimeout(() => resolve(started.push(2)), 100))],
+            ['third', () => Promise.resolve(started.push(3))],
+        ], {timeout: 80}), err => err instanceof Work.WorkTimeoutError && err.stepName === 'second');
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.deepEqual(started, [1, 2]);
+    });
+    await t.test('will not retry timed out works', async (t) => {
+        let calls = 0;
+        await assert.rejects(Work.works([
+            ['flaky', () => Promise.reject(new Error(`failed ${++calls}`)), {retries: 3, delay: 20}],
+        ], {timeout: 10}), err => err instanceof Work.WorkTimeoutError && err.stepName === 'flaky');
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.strictEqual(calls, 1);
+    });
+    await t.test('can abort works', async (t) => {
+        const ac = new AbortController();
+        const started = [];
+        let done;
+        const works = Work.works([
+            ['first', () => Promise.resolve(started.push(1))],
+            ['second', w => new Promise((resolve, reject) => {
+                started.push(2);
+                w.signal.addEventListener('abort', () => reject(new Error('second aborted')));
+                setTimeout(() => ac.abort(), 10);
+            })],
+            ['third', () => Promise.resolve(started.push(3))],
+        ], {
+            signal: ac.signal,
+            async onDone(w, err) {
+                done = err;
+            }
+        });
+        await assert.rejects(works, {name: 'AbortError'});
+        assert.deepEqual(started, [1, 2]);
+        assert.strictEqual(done.name, 'AbortError');
+    });
+    await t.test('will not retry aborted works', async (t) => {
+        const ac = new AbortController();
+        let calls = 0;
+        setTimeout(() => ac.abort(), 10);
+        await assert.rejects(Work.works([
+            ['flaky', () => Promise.reject(new Error(`failed ${++calls}`)), {retries: 3, delay: 50}],
+        ], {signal: ac.signal}), {name: 'AbortError'});
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.strictEqual(calls, 1);
+    });
+    await t.test('will not start works when already aborted', async (t) => {
+        let started = false;
+        await assert.rejects(Work.works([() => Promise.resolve(started = true)], {signal: AbortSignal.abort()}),
+            {name: 'AbortError'});
+        assert.strictEqual(started, false);
+    });
+    await t.test('can execute works in parallel', async (t) => {
+        const started = [];
+        const delayed = (v, ms) => () => new Promise(resolve => {
+            started.push(v);
+            setTimeout(() => resolve(v), ms);
+        });
+        const res = await Work.works([
+            ['fetch', Work.parallel([
+                ['a', delayed('A', 50)],
+                ['b', delayed('B', 10)],
+            ])],
+            ['list', Work.parallel([
+                delayed(1, 10),
+                [delayed(2, 10), () => false],
+            ])],
+            ['join', w => Promise.resolve([w.getRes('fetch'), w.getRes('list')])],
+        ]);
+        assert.deepEqual(started, ['A', 'B', 1]);
+        assert.deepEqual(res, [{a: 'A', b: 'B'}, [1, null]]);
+    });
+    await t.test('will reject when one of parallel works is failed', async (t) => {
+        await assert.rejects(Work.works([
+            Work.parallel([
+                () => Promise.resolve(1),
+                () => Promise.reject(new Error('parallel failed')),
+            ]),
+        ]), {message: 'parallel failed'});
+    });
+    await t.test('can execute works by dependency', async (t) => {
+        const log = [];
+        const delayed = (v, ms) => () => new Promise(resolve => {
+            log.push(`start ${v}`);
+            setTimeout(() => {
+                log.push(`end ${v}`);
+                resolve(v);
+            }, ms);
+        });
+        const res = await Work.works([
+            ['d', w => Promise.resolve(w.getRes('b') + w.getRes('c')), {dependsOn: ['b', 'c']}],
+            ['b', delayed('B', 30), {dependsOn: 'a'}],
+            ['c', delayed('C', 10), {dependsOn: 'a'}],
+            ['a', delayed('A', 10)],
+        ]);
+        assert.strictEqual(res, 'BC');
+        assert.deepEqual(log, ['start A', 'end A', 'start B', 'start C', 'end C', 'end B']);
+    });
+    await t.test('will throw on invalid dependency', async (t) => {
+        assert.throws(() => Work.works([
+            ['a', () => Promise.resolve(), {dependsOn: 'c'}],
+            ['b', () => Promise.resolve(), {dependsOn: 'a'}],
+            ['c', () => Promise.resolve(), {dependsOn: 'b'}],
+        ]), {message: 'Circular work dependency a -> c -> b -> a found!'});
+        assert.throws(() => Work.works([
+            ['a', () => Promise.resolve(), {dependsOn: 'x'}],
+        ]), {message: 'Work a depends on non existent work x!'});
+    });
+    await t.test('can skip dependents of skipped or failed work', async (t) => {
+        const works = () => [
+            ['a', () => Promise.resolve(1), () => false],
+            ['b', () => Promise.reject(new Error('b failed'))],
+            ['c', () => Promise.resolve(3), {dependsOn: 'a'}],
+            ['d', () => Promise.resolve(4), {dependsOn: 'b'}],
+            ['e', () => Promise.resolve(5), {dependsOn: 'c'}],
+        ];
+        let w;
+        await Work.works(works(), {failPolicy: 'skip', onDone: async work => w = work});
+        assert.deepEqual(w.result, [null, null, null, null, null]);
+        assert.strictEqual(w.err.message, 'b failed');
+        await Work.works(works(), {failPolicy: 'skip', skipPolicy: 'run', onDone: async work => w = work});
+        assert.deepEqual(w.result, [null, null, 3, null, 5]);
+        await assert.rejects(Work.works(works()), {message: 'b failed'});
+    });
+    await t.test('can undo completed works on failure', async (t) => {
+        const log = [];
+        let w;
+        await assert.rejects(Work.works([
+            ['a', () => Promise.resolve(log.push('a')), {undo: () => Promise.resolve(log.push('undo a'))}],
+            ['b', () => Promise.resolve(log.push('b'))],
+            ['c', () => Promise.resolve(log.push('c')), {undo: () => Promise.resolve(log.push('undo c'))}],
+            ['d', () => Promise.reject(new Error('d failed')), {undo: () => Promise.resolve(log.push('undo d'))}],
+        ], {onDone: async work => w = work}), {message: 'd failed'});
+        assert.deepEqual(log, ['a', 'b', 'c', 'undo c', 'undo a']);
+        assert.strictEqual(w.err.message, 'd failed');
+    });
+    await t.test('can undo works completed after failure', async (t) => {
+        const log = [];
+        await assert.rejects(Work.works([
+            ['a', () => new Promise((resolve, reject) => setTimeout(() => reject(new Error('a failed')), 10))],
+            ['b', () => new Promise(resolve => setTimeout(() => resolve(log.push('b')), 50)),
+                {undo: () => Promise.resolve(log.push('undo b'))}],
+            ['c', () => Promise.resolve(log.push('c')), {dependsOn: ['a', 'b']}],
+        ]), {message: 'a failed'});
+        await new Promise(resolve => setTimeout(resolve, 60));
+        assert.deepEqual(log, ['b', 'undo b']);
+    });
+    await t.test('will collect undo errors', async (t) => {
+        const log = [];
+        let w;
+        await assert.rejects(Work.works([
+            ['a', () => Promise.resolve(), {undo: () => Promise.resolve(log.push('undo a'))}],
+            ['b', () => Promise.resolve(), {undo: () => Promise.reject(new Error('undo b failed'))}],
+            ['c', () => Promise.reject(new Error('c failed'))],
+        ], {onDone: async work => w = work}), err => err instanceof AggregateError);
+        assert.deepEqual(log, ['undo a']);
+        assert.deepEqual(w.err.errors.map(err => err.message), ['c failed', 'undo b failed']);
+    });
+    await t.test('can resume works from checkpoint', async (t) => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'work-'));
+        t.after(() => fs.rmSync(dir, {recursive: true, force: true}));
+        for (const store of [new Store.MemoryStore(), new Store.FileStore(dir)]) {
+            const log = [];
+            let failing = true;
+            const works = () => [
+                ['a', () => Promise.resolve(log.push('a') && {value: 'A'})],
+                ['b', () => Promise.resolve(log.push('b')), () => false],
+                ['c', w => failing ? Promise.reject(new Error('c failed')) : Promise.resolve(w.getRes('a').value + 'C')],
+            ];
+            await assert.rejects(Work.works(works(), {store, runId: 'run-1'}), {message: 'c failed'});
+            assert.deepEqual(await store.load('run-1'), {steps: {
+                0: {name: 'a', state: 'done', res: {value: 'A'}},
+                1: {name: 'b', state: 'skipped', res: null},
+            }});
+            failing = false;
+            const res = await Work.resume('run-1', works(), {store});
+            assert.strictEqual(res, 'AC');
+            assert.deepEqual(log, ['a']);
+            assert.strictEqual(await store.load('run-1'), null);
+            const graph = await Work.works([
+                ['a', () => Promise.resolve(1)],
+                ['b', w => Promise.resolve(w.getRes('a') + 1), {dependsOn: 'a'}],
+            ], {store, runId: 'run-2'});
+            assert.strictEqual(graph, 2);
+        }
+    });
+    await t.test('will reject resume without store', async (t) => {
+        await assert.rejects(Work.resume('run-1', [() => Promise.resolve()]),
+            {message: 'Work store is required to resume!'});
+    });
+    await t.test('will emit work events', async (t) => {
+        const events = [];
+        const listener = event => e => events.push([event, e.idx, e.name, e.result, e.err ? e.err.message : e.reason]);
+        const listeners = {
+            'step:start': listener('start'),
+            'step:skip': listener('skip'),
+            'step:done': [listener('done'), e => assert.ok(e.duration >= 0)],
+            'step:error': listener('error'),
+            'chain:done': e => events.push(['chain', e.result, e.err ? e.err.message : undefined]),
+        };
+        await Work.works([
+            ['a', () => Promise.resolve(1)],
+            ['b', () => Promise.resolve(2), () => false],
+        ], {listeners});
+        await assert.rejects(Work.works([
+            () => Promise.reject(new Error('failed')),
+        ], {listeners}));
+        assert.deepEqual(events, [
+            ['start', 0, 'a', undefined, undefined],
+            ['done', 0, 'a', 1, undefined],
+            ['skip', 1, 'b', undefined, 'disabled'],
+            ['chain', 1, undefined],
+            ['start', 0, undefined, undefined, undefined],
+            ['error', 0, undefined, undefined, 'failed'],
+            ['chain', undefined, 'failed'],
+        ]);
+    });
+    await t.test('can report work metrics', async (t) => {
+        let w;
+        Work.setMetrics(true);
+        t.after(() => Work.setMetrics(false));
+        await Work.works([
+            ['a', () => new Promise(resolve => setTimeout(resolve, 20))],
+            ['b', () => Promise.resolve(), () => false],
+        ], {onDone: async work => w = work});
+        await assert.rejects(Work.works([
+            ['a', () => Promise.reject(new Error('failed')), {retries: 1}],
+            ['b', () => Promise.resolve()],
+        ]));
+        const report = w.report();
+        assert.strictEqual(report.status, 'done');
+        assert.ok(report.duration >= 20);
+        assert.deepEqual(report.steps.map(step => [step.name, step.status, step.attempts]), [['a', 'done', 1], ['b', 'skipped', 0]]);
+        assert.ok(report.steps[0].duration >= 20);
+        assert.match(w.report('table'), /^idx \| name \| status/);
+        const stats = Work.report();
+        assert.deepEqual(stats.runs[w.id], report);
+        assert.deepEqual([stats.steps.a.count, stats.steps.a.done, stats.steps.a.failed], [2, 1, 1]);
+        assert.deepEqual([stats.steps.b.count, stats.steps.b.skipped], [1, 1]);
+        assert.match(Work.report('table'), /^name \| count/);
+    });
+    await t.test('can trace works', async (t) => {
+        const tracer = new Tracer.MemoryTracer();
+        await assert.rejects(Work.works([
+            ['a', () => Promise.resolve(1)],
+            ['b', () => Promise.resolve(2), () => false],
+            () => Promise.reject(new Error('failed')),
+        ], {tracer}));
+        const [root, ...spans] = tracer.spans;
+        assert.strictEqual(root.name, 'works');
+        assert.strictEqual(root.status.code, Tracer.StatusCode.ERROR);
+        assert.deepEqual(spans.map(span => [span.name, span.parent, span.status.code, span.attributes['work.step.skip_reason'], span.ended]), [
+            ['a', root, Tracer.StatusCode.OK, undefined, true],
+            ['b', root, Tracer.StatusCode.UNSET, 'disabled', true],
+            ['#2', root, Tracer.StatusCode.ERROR, undefined, true],
+        ]);
+        assert.strictEqual(spans[2].exceptions[0].message, 'failed');
+        assert.ok(root.ended);
+    });
+    await t.test('can wrap error with work context', async (t) => {
+        const err = new Error('failed');
+        let w;
+        await assert.rejects(Work.works([
+            ['a', () => Promise.resolve(1)],
+            ['b', () => Promise.reject(err)],
+            ['c', () => Promise.resolve(3)],
+        ], {wrapError: true, onDone: async work => w = work}), e => {
+            assert.ok(e instanceof Work.WorkError);
+            assert.strictEqual(e.message, 'Work b failed: failed');
+            assert.strictEqual(e.idx, 1);
+            assert.strictEqual(e.stepName, 'b');
+            assert.match(e.info, /Promise\.reject\(err\)/);
+            assert.deepEqual(e.result, [1]);
+            assert.strictEqual(e.cause, err);
+            return true;
+        });
+        assert.ok(w.err instanceof Work.WorkError);
+        await assert.rejects(Work.works([() => Promise.reject(err)]), e => e === err);
+    });
+    await t.test('can run nested works', async (t) => {
+        const paths = [];
+        const res = await Work.works([
+            ['a', () => Promise.resolve(1)],
+            ['child', Work.chain([
+                ['x', w => Promise.resolve(w.getRes('a') + 1)],
+                ['y', w => {
+                    paths.push(w.getPath(w.current.idx));
+                    return Promise.resolve(w.getRes('x') + 1);
+                }],
+            ])],
+            ['b', w => Promise.resolve([w.getRes('child'), w.getRes('child.x'), w.getRes('child.y')])],
+        ]);
+        assert.deepEqual(res, [3, 2, 3]);
+        assert.deepEqual(paths, ['1.1']);
+        await assert.rejects(Work.works([
+            ['child', Work.chain([() => Promise.resolve(1)])],
+            ['b', w => Promise.resolve(w.getRes('child.x'))],
+        ]), /Named index child\.x doesn't exist!/);
+    });
+    await t.test('can branch works', async (t) => {
+        const res = await Work.works([
+            ['a', () => Promise.resolve(1)],
+            ['b', Work.if(w => w.getRes('a') > 0, [() => Promise.resolve('positive')], [() => Promise.resolve('negative')])],
+            ['c', Work.if(w => w.getRes('a') > 1, [() => Promise.resolve('more')])],
+            ['d', w => Promise.resolve([w.getRes('b'), w.getRes('c')])],
+        ]);
+        assert.deepEqual(res, ['positive', null]);
+    });
+    await t.test('can loop works', async (t) => {
+        let count = 0, iterations = [];
+        await Work.works([
+            ['loop', Work.while(() => count < 3, [
+                w => {
+                    iterations.push(w.index);
+                    return Promise.resolve(++count);
+                },
+            ])],
+        ]);
+        assert.deepEqual(iterations, [0, 1, 2]);
+        const res = await Work.works([
+            ['loop', Work.until(w => true, [
+                ['x', () => Promise.resolve(++count)],
+            ])],
+            ['b', w => Promise.resolve(w.getRes('loop.x'))],
+        ]);
+        assert.strictEqual(res, 4);
+    });
+    await t.test('can iterate works for each item', async (t) => {
+        const res = await Work.works([
+            ['items', () => Promise.resolve([1, 2, 3])],
+            ['each', Work.forEach(w => w.getRes('items'), [
+                ['double', w => Promise.resolve(w.item * 2)],
+                ['indexed', w => Promise.resolve(`${w.index}:${w.getRes('double')}`)],
+            ])],
+        ]);
+        assert.deepEqual(res, ['0:2', '1:4', '2:6']);
+        await assert.rejects(Work.works([
+            Work.forEach(() => null, [() => Promise.resolve()]),
+        ]), /Work items must be an array, got object!/);
+    });
+    await t.test('can run works definition', async (t) => {
+        let attempts = 0;
+        Work
+            .register('fetch', () => Promise.resolve(2))
+            .register('flaky', () => ++attempts < 2 ? Promise.reject(new Error('flaky')) : Promise.resolve(attempts))
+            .register('never', () => false)
+            .register('sum', w => Promise.resolve(w.getRes('fetch') + w.getRes('flaky') + w.getRes('nested.value')));
+        try {
+            const res = await Work.works({
+                steps: [
+                    {name: 'fetch', handler: 'fetch', timeout: 1000},
+                    {name: 'flaky', handler: 'flaky', retries: 1},
+                    {name: 'skipped', handler: 'fetch', enabled: 'never'},
+                    {name: 'nested', steps: [
+                        {name: 'value', handler: w => Promise.resolve(w.getRes('fetch') * 10)},
+                    ]},
+                    {name: 'sum', handler: 'sum'},
+                ]
+            });
+            assert.strictEqual(res, 24);
+            assert.throws(() => Work.compile({steps: [{name: 'a', handler: 'fetch'}, {name: 'b', handler: 'unknown'}]}), e => {
+                assert.ok(e instanceof Work.WorkDefinitionError);
+                assert.strictEqual(e.path, 'steps[1].handler');
+                assert.strictEqual(e.message, 'Invalid work definition steps[1].handler: handler unknown is not registered!');
+                return true;
+            });
+            assert.throws(() => Work.compile({steps: [{parallel: [{handler: 'fetch', retries: -1}]}]}),
+                /Invalid work definition steps\[0\]\.parallel\[0\]\.retries: must be a non negative number!/);
+            assert.throws(() => Work.compile({steps: [{handler: 'fetch', retry: 1}]}),
+                /Invalid work definition steps\[0\]\.retry: is not a valid property!/);
+            assert.throws(() => Work.compile({steps: [{name: 'a', handler: 'fetch', dependsOn: 'b'}]}),
+                /Invalid work definition steps\[0\]\.dependsOn: work b doesn't exist!/);
+        } finally {
+            for (const name of ['fetch', 'flaky', 'never', 'sum']) {
+                Work.register(name);
+            }
+        }
     });
 });
\ No newline at end of file
@@ -0,0 +1,63 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+declare interface SpanStatus {
+    code: number;
+    message?: string;
+}
+
+declare class Span {
+    setAttribute(key: string, value: any): this;
+    recordException(err: Error | string): void;
+    setStatus(status: SpanStatus): this;
+    end(): void;
+}
+
+declare class MemorySpan extends Span {
+    name: string;
+    attributes: { [key: string]: any };
+    parent: MemorySpan | null;
+    exceptions: Array<Error | string>;
+    status: SpanStatus;
+    startTime: number;
+    endTime: number | null;
+    readonly ended: boolean;
+    constructor(name: string, attributes?: object, parent?: MemorySpan);
+}
+
+declare class Tracer {
+    startSpan(name: string, attributes?: { [key: string]: any }, parent?: Span): Span;
+    static fromOpenTelemetry(tracer: any, api: any): Tracer;
+    static StatusCode: { UNSET: 0, OK: 1, ERROR: 2 };
+    static Span: typeof Span;
+    static MemoryTracer: typeof MemoryTracer;
+    static MemorySpan: typeof MemorySpan;
+}
+
+declare class MemoryTracer extends Tracer {
+    spans: MemorySpan[];
+    startSpan(name: string, attributes?: { [key: string]: any }, parent?: Span): MemorySpan;
+}
+
+export = Tracer;
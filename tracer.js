@@ -0,0 +1,208 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Span status code, compatible with OpenTelemetry.
+ */
+const StatusCode = {
+    UNSET: 0,
+    OK: 1,
+    ERROR: 2,
+}
+
+/**
+ * A span which does nothing.
+ *
+ * Span interface is compatible with OpenTelemetry span, so OpenTelemetry span
+ * can be used as is.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class Span {
+
+    /**
+     * Set span attribute.
+     *
+     * @param {string} key Attribute name
+     * @param {any} value Attribute value
+     * @returns {Span}
+     */
+    setAttribute(key, value) {
+        return this;
+    }
+
+    /**
+     * Record an exception.
+     *
+     * @param {Error|string} err The exception
+     */
+    recordException(err) {
+    }
+
+    /**
+     * Set span status.
+     *
+     * @param {object} status The status
+     * @param {number} status.code Status code
+     * @param {string} status.message Status message
+     * @returns {Span}
+     */
+    setStatus(status) {
+        return this;
+    }
+
+    /**
+     * End span.
+     */
+    end() {
+    }
+}
+
+/**
+ * Tracer adapter which creates no-op span.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class Tracer {
+
+    /**
+     * Start a span.
+     *
+     * @param {string} name Span name
+     * @param {object} attributes Span attributes
+     * @param {Span} parent Parent span
+     * @returns {Span}
+     */
+    startSpan(name, attributes, parent) {
+        return new Span();
+    }
+
+    /**
+     * Create tracer adapter from an OpenTelemetry tracer.
+     *
+     * ```js
+     * const api = require('@opentelemetry/api');
+     * const tracer = Tracer.fromOpenTelemetry(api.trace.getTracer('my-app'), api);
+     * ```
+     *
+     * @param {object} tracer OpenTelemetry tracer
+     * @param {object} api OpenTelemetry API module
+     * @returns {Tracer}
+     */
+    static fromOpenTelemetry(tracer, api) {
+        const adapter = new this();
+        adapter.startSpan = (name, attributes, parent) => tracer.startSpan(name, {attributes},
+            parent ? api.trace.setSpan(api.context.active(), parent) : undefined);
+        return adapter;
+    }
+}
+
+/**
+ * In memory span.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class MemorySpan extends Span {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} name Span name
+     * @param {object} attributes Span attributes
+     * @param {MemorySpan} parent Parent span
+     */
+    constructor(name, attributes, parent) {
+        super();
+        /** @type {string} */
+        this.name = name;
+        /** @type {object} */
+        this.attributes = Object.assign({}, attributes);
+        /** @type {MemorySpan} */
+        this.parent = parent || null;
+        /** @type {Array<Error|string>} */
+        this.exceptions = [];
+        /** @type {object} */
+        this.status = {code: StatusCode.UNSET};
+        /** @type {number} */
+        this.startTime = Date.now();
+        /** @type {number} */
+        this.endTime = null;
+    }
+
+    setAttribute(key, value) {
+        this.attributes[key] = value;
+        return this;
+    }
+
+    recordException(err) {
+        this.exceptions.push(err);
+    }
+
+    setStatus(status) {
+        this.status = status;
+        return this;
+    }
+
+    end() {
+        if (this.endTime === null) {
+            this.endTime = Date.now();
+        }
+    }
+
+    /**
+     * Is span ended?
+     *
+     * @returns {boolean}
+     */
+    get ended() {
+        return this.endTime !== null;
+    }
+}
+
+/**
+ * Tracer adapter which keeps the spans in memory, useful for testing.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class MemoryTracer extends Tracer {
+
+    constructor() {
+        super();
+        /** @type {MemorySpan[]} */
+        this.spans = [];
+    }
+
+    startSpan(name, attributes, parent) {
+        const span = new MemorySpan(name, attributes, parent);
+        this.spans.push(span);
+        return span;
+    }
+}
+
+Tracer.StatusCode = StatusCode;
+Tracer.Span = Span;
+Tracer.MemoryTracer = MemoryTracer;
+Tracer.MemorySpan = MemorySpan;
+
+module.exports = Tracer;
@@ -23,43 +23,282 @@
  */
 
 import { EventEmitter } from 'events';
+import * as Pool from './pool';
+import * as Store from './store';
+import * as Tracer from './tracer';
 
-declare type WorkHandler = (w: Work) => Promise<any>;
+declare type WorkHandler = (w: Work, signal?: AbortSignal) => Promise<any>;
 declare type WorkState = (w: Work) => boolean;
 declare type WorkNext = (next: Function, w: Work) => void;
-declare type WorkBefore = (worker: Worker, w: Work) => void;
+declare type WorkBefore = (worker: Worker, w: Work, attempt: number) => void;
 declare type WorkDone = (w: Work, err: string | Error) => Promise<any>;
-declare type WorkError = (w: Work, options: object) => void;
+declare type WorkErrorCallback = (w: Work, options: object) => void;
+
+declare interface WorkerOptions {
+    retries?: number;
+    backoff?: 'fixed' | 'exponential';
+    delay?: number;
+    retryIf?: (err: any) => boolean;
+    timeout?: number;
+    dependsOn?: string | string[];
+    undo?: WorkHandler;
+}
+
+declare interface StepDefinition {
+    name?: string;
+    handler?: string | WorkHandler;
+    steps?: StepDefinition[];
+    parallel?: StepDefinition[];
+    enabled?: string | WorkState;
+    retries?: number;
+    delay?: number;
+    backoff?: 'fixed' | 'exponential';
+    retryIf?: string | ((err: any) => boolean);
+    timeout?: number;
+    dependsOn?: string | string[];
+    undo?: string | WorkHandler;
+}
+
+declare interface WorkDefinition {
+    steps: StepDefinition[];
+}
 
 declare interface WorkerData {
-    [index: number]: string | WorkHandler | WorkState;
+    [index: number]: string | WorkHandler | Worker | WorkState | WorkerOptions;
+}
+
+declare interface StepEvent {
+    id: number;
+    idx: number;
+    name: string;
+    worker: Worker;
+    duration?: number;
+    result?: any;
+    err?: any;
+    attempt?: number;
+    reason?: string;
+}
+
+declare interface ChainEvent {
+    id: number;
+    duration: number;
+    result?: any;
+    err?: any;
+}
+
+declare interface StepMetrics {
+    idx: number;
+    name: string;
+    status: 'pending' | 'running' | 'done' | 'skipped' | 'failed';
+    attempts: number;
+    start?: number;
+    end?: number;
+    duration?: number;
+    reason?: string;
+}
+
+declare interface WorkReport {
+    id: number;
+    status: 'pending' | 'done' | 'failed';
+    start?: number;
+    end?: number;
+    duration?: number;
+    steps: StepMetrics[];
+}
+
+declare interface StepStats {
+    name: string;
+    count: number;
+    done: number;
+    skipped: number;
+    failed: number;
+    total: number;
+    min: number;
+    max: number;
+    avg: number;
+}
+
+declare interface WorkEvents {
+    'step:start': (e: StepEvent) => void;
+    'step:skip': (e: StepEvent) => void;
+    'step:done': (e: StepEvent) => void;
+    'step:error': (e: StepEvent) => void;
+    'chain:done': (e: ChainEvent) => void;
 }
 
+declare type WorkListeners = {
+    [E in keyof WorkEvents]?: WorkEvents[E] | WorkEvents[E][];
+};
+
 declare interface WorkOptions {
     alwaysResolved: boolean;
     onWork: WorkBefore;
     onNext: WorkNext;
     onDone: WorkDone;
-    onError: WorkError;
+    onError: WorkErrorCallback;
+    timeout?: number;
+    signal?: AbortSignal;
+    skipPolicy?: 'skip' | 'run';
+    failPolicy?: 'stop' | 'skip';
+    store?: Store;
+    runId?: string;
+    listeners?: WorkListeners;
+    tracer?: Tracer;
+    wrapError?: boolean;
+    parent?: Work;
+    owner?: Worker;
+    context?: { item?: any, index?: number };
 }
 
 declare class Worker {
     name: string;
     idx: number;
     handler: WorkHandler;
+    options: WorkerOptions;
+    parent: Worker;
+    readonly info: string;
+    readonly path: string;
+    readonly dependsOn: string[];
+    constructor(work: WorkHandler | WorkerData);
+    configure(work: WorkerData): this;
     isEnabled(caller: Work): boolean;
+    execute(caller: Work, onAttempt?: (worker: Worker, attempt: number) => void, signal?: AbortSignal): Promise<any>;
+    canRetry(err: any, attempt: number): boolean;
+    getRetryDelay(attempt: number): number;
+    static create(work: Worker | WorkHandler | WorkerData): Worker;
+}
+
+declare class ParallelWorker extends Worker {
+    workers: Worker[];
+    constructor(works: Array<Worker | WorkHandler | WorkerData>);
+    run(caller: Work, signal?: AbortSignal): Promise<object | any[]>;
+}
+
+declare class ChainWorker extends Worker {
+    works: Array<Worker | WorkHandler | WorkerData>;
+    workOptions: Partial<WorkOptions>;
+    constructor(works: Array<Worker | WorkHandler | WorkerData>, options?: Partial<WorkOptions>);
+    run(caller: Work, signal?: AbortSignal): Promise<any>;
+    chain(caller: Work, works: Array<Worker | WorkHandler | WorkerData>, context?: { item?: any, index?: number }, signal?: AbortSignal): Promise<any>;
+}
+
+declare class ConditionWorker extends ChainWorker {
+    condition: (w: Work) => boolean;
+    elseWorks: Array<Worker | WorkHandler | WorkerData>;
+    constructor(condition: (w: Work) => boolean, works: Array<Worker | WorkHandler | WorkerData>, elseWorks?: Array<Worker | WorkHandler | WorkerData>, options?: Partial<WorkOptions>);
+}
+
+declare class LoopWorker extends ChainWorker {
+    condition: (w: Work) => boolean;
+    until: boolean;
+    constructor(condition: (w: Work) => boolean, works: Array<Worker | WorkHandler | WorkerData>, until?: boolean, options?: Partial<WorkOptions>);
+}
+
+declare class EachWorker extends ChainWorker {
+    items: any[] | ((w: Work) => any[]);
+    constructor(items: any[] | ((w: Work) => any[]), works: Array<Worker | WorkHandler | WorkerData>, options?: Partial<WorkOptions>);
+    run(caller: Work, signal?: AbortSignal): Promise<any[]>;
+}
+
+declare interface ThreadOptions {
+    size?: number;
+    fn?: string;
+    data?: (w: Work) => any;
+}
+
+declare class ThreadWorker extends Worker {
+    pool: Pool;
+    data: (w: Work) => any;
+    constructor(filename: string, options?: ThreadOptions);
+    run(caller: Work): Promise<any>;
+    close(): Promise<void>;
+}
+
+declare class WorkError extends Error {
+    idx: number;
+    stepName: string;
+    info: string;
+    result: any[];
+    cause: any;
+    constructor(idx: number, stepName: string, info: string, result: any[], cause: any);
+}
+
+declare class WorkDefinitionError extends Error {
+    path: string;
+    constructor(path: string, message: string);
+}
+
+declare class WorkTimeoutError extends Error {
+    idx: number;
+    stepName: string;
+    timeout: number;
+    constructor(idx: number, stepName: string, timeout: number);
 }
 
 declare class Work extends EventEmitter {
+    id: number;
+    err: any;
+    current: Worker;
+    workers: Worker[];
+    signal: AbortSignal;
+    graph: boolean;
+    runId: string;
+    metrics: { status: string, start?: number, end?: number, duration?: number, steps: StepMetrics[] };
+    checkpoint: { steps: { [idx: number]: { name: string, state: string, res: any } } };
+    states: { [idx: number]: 'running' | 'done' | 'skipped' | 'failed' };
+    parent: Work;
+    owner: Worker;
+    children: Map<Worker, Work>;
+    item: any;
+    index: number;
+    readonly root: Work;
     res: any;
     pres: any;
     getRes(idx: number | string): any;
+    lookup(name: string): { work: Work, idx: number } | undefined;
+    getChild(name: string): Work;
+    getPath(idx: number | string): string;
     getName(idx: number): string;
-    static works(works: Worker[] | WorkerData[], options?: WorkOptions): Promise<any>;
-    static works(works: Worker[] | WorkerData[], onnext: WorkNext): Promise<any>;
+    checkDependencies(): void;
+    trace(tracer: Tracer): void;
+    track(event: string, data: StepEvent | ChainEvent): void;
+    report(format?: 'json'): WorkReport;
+    report(format: 'table'): string;
+    on<E extends keyof WorkEvents>(event: E, listener: WorkEvents[E]): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+    once<E extends keyof WorkEvents>(event: E, listener: WorkEvents[E]): this;
+    once(event: string | symbol, listener: (...args: any[]) => void): this;
+    static works(works: Worker[] | WorkerData[] | WorkDefinition, options?: WorkOptions): Promise<any>;
+    static works(works: Worker[] | WorkerData[] | WorkDefinition, onnext: WorkNext): Promise<any>;
+    static resume(runId: string, works: Worker[] | WorkerData[] | WorkDefinition, options?: WorkOptions): Promise<any>;
+    static thread(filename: string, options?: ThreadOptions): ThreadWorker;
+    static register(name: string, handler?: Function): typeof Work;
+    static compile(definition: WorkDefinition): Worker[];
+    static parallel(works: Array<Worker | WorkHandler | WorkerData>): ParallelWorker;
+    static chain(works: Array<Worker | WorkHandler | WorkerData>, options?: Partial<WorkOptions>): ChainWorker;
+    static if(condition: (w: Work) => boolean, works: Array<Worker | WorkHandler | WorkerData>, elseWorks?: Array<Worker | WorkHandler | WorkerData>, options?: Partial<WorkOptions>): ConditionWorker;
+    static while(condition: (w: Work) => boolean, works: Array<Worker | WorkHandler | WorkerData>, options?: Partial<WorkOptions>): LoopWorker;
+    static until(condition: (w: Work) => boolean, works: Array<Worker | WorkHandler | WorkerData>, options?: Partial<WorkOptions>): LoopWorker;
+    static forEach(items: any[] | ((w: Work) => any[]), works: Array<Worker | WorkHandler | WorkerData>, options?: Partial<WorkOptions>): EachWorker;
     static setInitializer(f: Function): typeof Work;
-    static setOnError(f: WorkError): typeof Work;
+    static setOnError(f: WorkErrorCallback): typeof Work;
     static setDebugger(f: Function): typeof Work;
+    static setStore(store?: Store): typeof Work;
+    static setTracer(tracer?: Tracer): typeof Work;
+    static setMetrics(enabled: boolean): typeof Work;
+    static report(format?: 'json'): { runs: { [id: number]: WorkReport }, steps: { [name: string]: StepStats } };
+    static report(format: 'table'): string;
+    static Worker: typeof Worker;
+    static ParallelWorker: typeof ParallelWorker;
+    static ChainWorker: typeof ChainWorker;
+    static ConditionWorker: typeof ConditionWorker;
+    static LoopWorker: typeof LoopWorker;
+    static EachWorker: typeof EachWorker;
+    static ThreadWorker: typeof ThreadWorker;
+    static WorkError: typeof WorkError;
+    static WorkDefinitionError: typeof WorkDefinitionError;
+    static handlers: { [name: string]: Function };
+    static WorkTimeoutError: typeof WorkTimeoutError;
 }
 
 export = Work;
\ No newline at end of file
@@ -23,6 +23,9 @@
  */
 
 const EventEmitter = require('events');
+const Pool = require('./pool');
+const Store = require('./store');
+const Tracer = require('./tracer');
 const debug = require('debug')('work');
 
 /**
@@ -30,6 +33,8 @@ const debug = require('debug')('work');
  *
  * @callback WorkHandler
  * @param {Work} work Work object
+ * @param {AbortSignal} signal Signal of current attempt, aborted when the attempt is timed out or the works
+ * is aborted
  * @returns {Promise<any>}
  */
 
@@ -39,6 +44,7 @@ const debug = require('debug')('work');
  * @callback BeforeWorkCallback
  * @param {Worker} worker Worker
  * @param {Work} work Work object
+ * @param {number} attempt Number of attempt, zero when the work is skipped
  */
 
 /**
@@ -65,9 +71,67 @@ const debug = require('debug')('work');
  * @param {Work} work Work object
  */
 
+/**
+ * Step event data.
+ *
+ * @typedef {object} StepEvent
+ * @property {number} id Works id
+ * @property {number} idx Work index
+ * @property {string} name Work name
+ * @property {Worker} worker Worker
+ * @property {number} duration Work duration in milliseconds, for `step:done` and `step:error`
+ * @property {any} result Work result, for `step:done`
+ * @property {Error|string} err Work error, for `step:error`
+ * @property {number} attempt Number of attempt, for `step:done` and `step:error`
+ * @property {string} reason Skip reason, for `step:skip`
+ */
+
+/**
+ * Chain event data.
+ *
+ * @typedef {object} ChainEvent
+ * @property {number} id Works id
+ * @property {number} duration Works duration in milliseconds
+ * @property {any} result Works result
+ * @property {Error|string} err Works error
+ */
+
+/**
+ * Work step definition, exactly one of `handler`, `steps`, or `parallel` is
+ * required. Handler can be referenced by its registered name.
+ *
+ * @typedef {object} StepDefinition
+ * @property {string} name Work name
+ * @property {string|WorkHandler} handler Work handler
+ * @property {StepDefinition[]} steps Nested works
+ * @property {StepDefinition[]} parallel Works executed in parallel
+ * @property {string|Function} enabled Enabled condition
+ * @property {number} retries Maximum number of retry
+ * @property {number} delay Retry delay in milliseconds
+ * @property {string} backoff Retry backoff, either `fixed` or `exponential`
+ * @property {string|RetryIfCallback} retryIf Retry condition
+ * @property {number} timeout Maximum time in milliseconds for each attempt
+ * @property {string|string[]} dependsOn Names of work which must be settled first
+ * @property {string|WorkHandler} undo Undo handler
+ */
+
+/**
+ * Works definition.
+ *
+ * @typedef {object} WorkDefinition
+ * @property {StepDefinition[]} steps The works
+ */
+
 /**
  * Promise based worker for easy chaining.
  *
+ * Emitted events:
+ * - `step:start` with {@link StepEvent}, before a work is started
+ * - `step:skip` with {@link StepEvent}, when a work is skipped
+ * - `step:done` with {@link StepEvent}, when a work is completed
+ * - `step:error` with {@link StepEvent}, when a work is failed
+ * - `chain:done` with {@link ChainEvent}, when the works is resolved or rejected
+ *
  * @author Toha <tohenk@yahoo.com>
  */
 class Work extends EventEmitter {
@@ -76,10 +140,30 @@ class Work extends EventEmitter {
 
     constructor(works) {
         super();
+        /** @type {number} */
+        this.id;
         /** @type {Error|string} */
         this.err;
         /** @type {boolean} */
         this.pending;
+        /** @type {AbortSignal} */
+        this.signal;
+        /** @type {object} */
+        this.states = {};
+        /** @type {string} */
+        this.runId;
+        /** @type {object} */
+        this.checkpoint;
+        /** @type {Work} */
+        this.parent;
+        /** @type {Worker} */
+        this.owner;
+        /** @type {Map<Worker, Work>} */
+        this.children = new Map();
+        /** @type {any} */
+        this.item;
+        /** @type {number} */
+        this.index;
         let idx = 0;
         this.names = {};
         this.works = works.map(w => {
@@ -90,7 +174,53 @@ class Work extends EventEmitter {
             }
             return worker;
         });
-        this.next();
+        /** @type {Worker[]} */
+        this.workers = [...this.works];
+        /**
+         * Execution metrics.
+         *
+         * @type {object}
+         * @property {number} start Start timestamp
+         * @property {number} end End timestamp
+         * @property {string} status Works status
+         * @property {object[]} steps Each work metrics
+         */
+        this.metrics = {
+            status: 'pending',
+            steps: this.works.map(worker => ({idx: worker.idx, name: worker.name, status: 'pending', attempts: 0})),
+        };
+        /** @type {boolean} */
+        this.graph = this.works.some(worker => worker.dependsOn.length);
+        if (this.graph) {
+            this.checkDependencies();
+        } else {
+            this.next();
+        }
+    }
+
+    /**
+     * Check works dependencies, throws error when a dependency doesn't exist
+     * or a circular dependency is found.
+     */
+    checkDependencies() {
+        const visited = {};
+        const visit = (worker, path) => {
+            const name = worker.name !== undefined ? worker.name : worker.idx;
+            if (visited[worker.idx] === 'visiting') {
+                throw new Error(`Circular work dependency ${[...path, name].join(' -> ')} found!`);
+            }
+            if (visited[worker.idx] === undefined) {
+                visited[worker.idx] = 'visiting';
+                for (const dep of worker.dependsOn) {
+                    if (this.names[dep] === undefined) {
+                        throw new Error(`Work ${name} depends on non existent work ${dep}!`);
+                    }
+                    visit(this.works[this.names[dep]], [...path, name]);
+                }
+                visited[worker.idx] = 'visited';
+            }
+        }
+        this.works.forEach(worker => visit(worker, []));
     }
 
     /**
@@ -115,18 +245,126 @@ class Work extends EventEmitter {
     }
 
     /**
-     * Get work result.
+     * Track work event to metrics.
+     *
+     * @param {string} event Event name
+     * @param {StepEvent|ChainEvent} data Event data
+     */
+    track(event, data) {
+        const now = Date.now();
+        if (event === 'chain:done') {
+            Object.assign(this.metrics, {end: now, duration: data.duration, status: data.err ? 'failed' : 'done'});
+            return;
+        }
+        const step = this.metrics.steps[data.idx];
+        if (step) {
+            switch (event) {
+                case 'step:start':
+                    Object.assign(step, {start: now, status: 'running'});
+                    break;
+                case 'step:skip':
+                    Object.assign(step, {start: now, end: now, duration: 0, status: 'skipped', reason: data.reason});
+                    break;
+                case 'step:done':
+                case 'step:error':
+                    Object.assign(step, {end: now, duration: data.duration, attempts: data.attempt,
+                        status: event === 'step:done' ? 'done' : 'failed'});
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Trace works using tracer, a parent span is created for the works and a
+     * child span is created for each work.
+     *
+     * @param {Tracer} tracer The tracer
+     */
+    trace(tracer) {
+        const root = tracer.startSpan('works', {'work.id': this.id});
+        const spans = {};
+        const attributes = e => {
+            const attr = {'work.id': e.id, 'work.step.idx': e.idx};
+            if (e.name !== undefined) {
+                attr['work.step.name'] = e.name;
+            }
+            return attr;
+        }
+        const spanName = e => e.name !== undefined ? e.name : `#${e.idx}`;
+        const end = (e, err) => {
+            const span = spans[e.idx] || tracer.startSpan(spanName(e), attributes(e), root);
+            delete spans[e.idx];
+            span.setAttribute('work.step.attempts', e.attempt);
+            if (err !== undefined) {
+                failed(span, err);
+            } else {
+                span.setStatus({code: Tracer.StatusCode.OK});
+            }
+            span.end();
+        }
+        const failed = (span, err) => {
+            span.recordException(err);
+            span.setStatus({code: Tracer.StatusCode.ERROR, message: err instanceof Error ? err.message : String(err)});
+        }
+        this
+            .on('step:start', e => {
+                spans[e.idx] = tracer.startSpan(spanName(e), attributes(e), root);
+            })
+            .on('step:skip', e => {
+                const span = tracer.startSpan(spanName(e), Object.assign(attributes(e), {'work.step.skip_reason': e.reason}), root);
+                span.end();
+            })
+            .on('step:done', e => end(e))
+            .on('step:error', e => end(e, e.err))
+            .once('chain:done', e => {
+                for (const span of Object.values(spans)) {
+                    span.end();
+                }
+                if (e.err !== undefined) {
+                    failed(root, e.err);
+                } else {
+                    root.setStatus({code: Tracer.StatusCode.OK});
+                }
+                root.end();
+            });
+    }
+
+    /**
+     * Get execution report.
+     *
+     * @param {string} format Report format, either `json` (default) or `table`
+     * @returns {object|string}
+     */
+    report(format) {
+        const report = Object.assign({id: this.id}, this.metrics, {steps: this.metrics.steps.map(step => Object.assign({}, step))});
+        if (format === 'table') {
+            return table(report.steps, ['idx', 'name', 'status', 'attempts', 'duration', 'reason']) +
+                `\nWorks #${report.id} ${report.status} in ${report.duration !== undefined ? report.duration : '-'}ms`;
+        }
+        return report;
+    }
+
+    /**
+     * Get work result. Result of nested works can be referenced using its
+     * name prefixed with the nested works name such as `child.step-x`, while
+     * the name which doesn't exist is looked up in the parent works.
      *
      * @param {number|string} idx Work index or name
      * @returns {any}
      */
     getRes(idx) {
         if (typeof idx === 'string') {
-            const sidx = this.names[idx];
-            if (sidx === undefined) {
+            let named;
+            for (let w = this; w && !named; w = w.parent) {
+                named = w.lookup(idx);
+            }
+            if (!named) {
                 throw new Error(`Named index ${idx} doesn't exist!`);
             }
-            idx = sidx;
+            if (named.work !== this) {
+                return named.work.getRes(named.idx);
+            }
+            idx = named.idx;
         }
         if (idx < 0 || idx >= this.result.length) {
             throw new Error(`Index ${idx} is out of bound!`);
@@ -134,6 +372,57 @@ class Work extends EventEmitter {
         return this.result[idx];
     }
 
+    /**
+     * Lookup named work in this works or its nested works.
+     *
+     * @param {string} name Work name
+     * @returns {{work: Work, idx: number}}
+     */
+    lookup(name) {
+        if (this.names[name] !== undefined) {
+            return {work: this, idx: this.names[name]};
+        }
+        const child = this.getChild(name);
+        if (child) {
+            return child.lookup(name.substr(name.indexOf('.') + 1));
+        }
+    }
+
+    /**
+     * Get nested works referenced by a dotted name such as `child.step-x`.
+     *
+     * @param {string} name Dotted work name
+     * @returns {Work}
+     */
+    getChild(name) {
+        const pos = name.indexOf('.');
+        if (pos > 0) {
+            const idx = this.names[name.substr(0, pos)];
+            if (idx !== undefined) {
+                return this.children.get(this.workers[idx]);
+            }
+        }
+    }
+
+    /**
+     * Get work index path which includes the index of parent works.
+     *
+     * @param {number|string} idx Work index or index path
+     * @returns {string}
+     */
+    getPath(idx) {
+        return this.owner ? `${this.parent.getPath(this.owner.path)}.${idx}` : `${idx}`;
+    }
+
+    /**
+     * Get the top most works.
+     *
+     * @returns {Work}
+     */
+    get root() {
+        return this.parent ? this.parent.root : this;
+    }
+
     /**
      * Get work name.
      *
@@ -155,13 +444,26 @@ class Work extends EventEmitter {
     /**
      * Do works.
      *
-     * @param {Array} works The works
+     * @param {Array|WorkDefinition} works The works or works definition
      * @param {object} options The options
      * @param {boolean} options.alwaysResolved Set to true to always resolve instead of reject when error occured
      * @param {BeforeWorkCallback} options.onWork On before work callback
      * @param {NextWorkCallback} options.onNext On next work callback
      * @param {WorkDoneCallback} options.onDone On work done callback
      * @param {OnErrorCallback} options.onError On error callback
+     * @param {number} options.timeout Maximum time in milliseconds for all works to complete, running work is
+     * not retried once timed out
+     * @param {AbortSignal} options.signal Signal to abort the works
+     * @param {string} options.skipPolicy Dependent of skipped work, either `skip` (default) or `run`
+     * @param {string} options.failPolicy On failed work with dependencies, either `stop` (default) or `skip` its dependents
+     * @param {Store} options.store Checkpoint store, default to store set by `setStore()`
+     * @param {string} options.runId Run id to save the works state to store, the works is resumed if the state exists
+     * @param {object} options.listeners Work event listeners keyed by event name, see `Work` events
+     * @param {Tracer} options.tracer Tracer adapter, default to tracer set by `setTracer()`
+     * @param {boolean} options.wrapError Set to true to reject with `WorkError` which carries the failed work context
+     * @param {Work} options.parent Parent works of nested works
+     * @param {Worker} options.owner Worker of parent works which owns the nested works
+     * @param {object} options.context Properties assigned to the nested works such as `item` and `index`
      * @param {Function} options.dbg Debugger function
      * @returns {Promise<any>}
      */
@@ -185,9 +487,78 @@ class Work extends EventEmitter {
             }
         }
         const dbg = x => typeof options.dbg === 'function' ? options.dbg(x) : this.dbg(x);
+        if (!Array.isArray(works)) {
+            works = this.compile(works);
+        }
         const w = new this(works);
+        if (options.parent) {
+            w.parent = options.parent;
+            w.owner = options.owner;
+            w.parent.children.set(w.owner, w);
+            Object.assign(w, options.context);
+        }
+        for (const [event, listeners] of Object.entries(options.listeners || {})) {
+            for (const listener of [].concat(listeners)) {
+                w.on(event, listener);
+            }
+        }
         return new Promise((resolve, reject) => {
             const id = ++this.seq;
+            const started = Date.now();
+            w.id = id;
+            const rid = w.root.id;
+            w.metrics.start = started;
+            if (options.tracer || this.tracer) {
+                w.trace(options.tracer || this.tracer);
+            }
+            // the works signal is aborted either by the signal option or on timeout
+            const signal = options.signal;
+            const controller = signal || options.timeout > 0 ? new AbortController() : null;
+            w.signal = controller ? controller.signal : undefined;
+            const completed = [];
+            const store = options.runId ? options.store || this.store : null;
+            let finished = false, compensated = false, timer, ready, saving = Promise.resolve();
+            /**
+             * Mark work as finished so late results are ignored.
+             *
+             * @returns {boolean} True if work has already been finished
+             */
+            const finish = () => {
+                if (finished) {
+                    return true;
+                }
+                finished = true;
+                clearTimeout(timer);
+                if (signal) {
+                    signal.removeEventListener('abort', abort);
+                }
+                return false;
+            }
+            /**
+             * Abort handler.
+             */
+            const abort = () => {
+                const idx = w.current ? w.current.idx : 0;
+                debug('%d> [%s] aborted', rid, w.getPath(idx));
+                const err = abortError(signal);
+                stop(idx, err);
+                controller.abort(err);
+            }
+            /**
+             * Emit step event.
+             *
+             * @param {string} event Event name
+             * @param {Worker} worker Worker
+             * @param {object} data Event data
+             */
+            const emit = (event, worker, data) => {
+                data = Object.assign({id}, worker ? {idx: worker.idx, name: w.getName(worker.idx), worker} : {}, data);
+                w.track(event, data);
+                if (event === 'chain:done' && this.reports) {
+                    this.reports[id] = w.report();
+                }
+                w.emit(event, data);
+            }
             /**
              * Always handler, called both on resolve and on reject.
              *
@@ -203,6 +574,25 @@ class Work extends EventEmitter {
                     resolve();
                 }
             });
+            /**
+             * Resolve works.
+             *
+             * @param {number} idx Work index
+             */
+            const done = idx => {
+                if (finish()) {
+                    return;
+                }
+                saving
+                    .then(() => store ? store.remove(w.runId) : null)
+                    .then(() => always())
+                    .then(() => {
+                        debug('%d> [%s] resolved with %s', rid, w.getPath(idx), dbg(w.rres));
+                        emit('chain:done', null, {duration: Date.now() - started, result: w.rres});
+                        resolve(w.rres);
+                    })
+                    .catch(err => reject(err));
+            }
             /**
              * Next handler or resolve when none left.
              *
@@ -210,7 +600,10 @@ class Work extends EventEmitter {
              * @param {any} res The result
              */
             const next = (idx, res) => {
-                w.result.push(res);
+                if (finished) {
+                    return;
+                }
+                w.result[idx] = res;
                 w.pres = w.res;
                 w.res = res;
                 const namedIdx = w.getName(idx);
@@ -220,23 +613,121 @@ class Work extends EventEmitter {
                     }
                 }
                 const nnext = () => {
-                    if (w.works.length === 0) {
-                        always()
-                            .then(() => {
-                                debug('%d> [%d] resolved with %s', id, idx, dbg(w.rres));
-                                resolve(w.rres);
-                            })
-                            .catch(err => reject(err));
+                    if (w.graph) {
+                        schedule(idx);
+                    } else if (w.works.length === 0) {
+                        done(idx);
                     } else {
                         w.once('work', f);
                         w.next();
                     }
                 }
-                if (typeof options.onNext === 'function') {
-                    options.onNext(nnext, w);
+                const cont = () => {
+                    if (typeof options.onNext === 'function') {
+                        options.onNext(nnext, w);
+                    } else {
+                        nnext();
+                    }
+                }
+                if (store) {
+                    save(idx, res).then(cont, err => stop(idx, err));
                 } else {
-                    nnext();
+                    cont();
+                }
+            }
+            /**
+             * Save work result to checkpoint store.
+             *
+             * @param {number} idx Work index
+             * @param {any} res The result
+             * @returns {Promise<undefined>}
+             */
+            const save = (idx, res) => {
+                w.checkpoint.steps[idx] = {name: w.getName(idx), state: w.states[idx], res};
+                return saving = saving.then(() => store.save(w.runId, w.checkpoint));
+            }
+            /**
+             * Restore work state from checkpoint.
+             *
+             * @param {Worker} worker Worker
+             * @returns {boolean} True if work has been restored
+             */
+            const restore = worker => {
+                const idx = worker.idx;
+                const step = w.checkpoint ? w.checkpoint.steps[idx] : null;
+                if (step && step.name === w.getName(idx) && ['done', 'skipped'].includes(step.state)) {
+                    debug('%d> [%s] restore %s', rid, w.getPath(idx), dbg(step.res));
+                    emit('step:skip', worker, {reason: 'restored', result: step.res});
+                    w.states[idx] = step.state;
+                    if (step.state === 'done') {
+                        w.rres = step.res;
+                        completed.push(worker);
+                    }
+                    next(idx, step.res);
+                    return true;
+                }
+                return false;
+            }
+            /**
+             * Start works which its dependencies has been settled.
+             *
+             * @param {number} idx Last work index
+             */
+            const schedule = idx => {
+                for (const worker of [...w.works]) {
+                    if (finished || w.works.indexOf(worker) < 0) {
+                        continue;
+                    }
+                    const states = worker.dependsOn.map(dep => w.states[w.names[dep]]);
+                    if (states.every(state => ['done', 'skipped', 'failed'].includes(state))) {
+                        w.works.splice(w.works.indexOf(worker), 1);
+                        let reason;
+                        if (states.includes('failed')) {
+                            reason = 'dependency failed';
+                        } else if (states.includes('skipped') && options.skipPolicy !== 'run') {
+                            reason = 'dependency skipped';
+                        }
+                        // mark as running as it might be deferred until checkpoint is loaded
+                        w.states[worker.idx] = 'running';
+                        f(worker, reason);
+                    }
                 }
+                if (w.works.length === 0 && !Object.values(w.states).includes('running')) {
+                    done(idx);
+                }
+            }
+            /**
+             * Undo completed work.
+             *
+             * @param {Worker} worker Worker
+             * @returns {Promise<undefined>}
+             */
+            const undo = worker => Promise.resolve()
+                .then(() => {
+                    debug('%d> [%s] undo %s', rid, w.getPath(worker.idx), worker.info);
+                    return worker.options.undo(w);
+                })
+                .catch(err => {
+                    debug('%d> [%s] undo failed with %s', rid, w.getPath(worker.idx), dbg(err));
+                    throw err;
+                });
+            /**
+             * Undo completed works in reverse order, works which are still running
+             * are undone once completed.
+             *
+             * @param {Error|string} err Error object or message
+             * @returns {Promise<Error|string>} Original error or aggregate error if some undo failed
+             */
+            const compensate = err => {
+                const errors = [];
+                compensated = true;
+                return completed
+                    .filter(worker => typeof worker.options.undo === 'function')
+                    .reverse()
+                    .reduce((p, worker) => p
+                        .then(() => undo(worker))
+                        .catch(err => errors.push(err)), Promise.resolve())
+                    .then(() => errors.length ? new AggregateError([err, ...errors], `Work failed and ${errors.length} undo failed!`) : err);
             }
             /**
              * On error handler.
@@ -245,63 +736,150 @@ class Work extends EventEmitter {
              * @param {Error|string} err Error object or message
              */
             const stop = (idx, err) => {
-                w.err = err;
-                always(err)
-                    .then(() => {
-                        if (typeof options.onError === 'function') {
-                            options.onError(w, options);
-                        } else if (typeof this.onError === 'function') {
-                            this.onError(w, options);
-                        }
-                        if (options.alwaysResolved) {
-                            debug('%d> [%d] rejected but return as resolved', id, idx);
-                            resolve();
-                        } else {
-                            debug('%d> [%d] rejected with %s', id, idx, dbg(err));
-                            reject(err);
+                if (finish()) {
+                    return;
+                }
+                compensate(err)
+                    .then(err => {
+                        if (options.wrapError && !(err instanceof WorkError)) {
+                            const worker = w.workers[idx];
+                            err = new WorkError(idx, w.getName(idx), worker ? worker.info : undefined, [...w.result], err);
                         }
+                        w.err = err;
+                        return always(err)
+                            .then(() => {
+                                if (typeof options.onError === 'function') {
+                                    options.onError(w, options);
+                                } else if (typeof this.onError === 'function') {
+                                    this.onError(w, options);
+                                }
+                                emit('chain:done', null, {duration: Date.now() - started, err});
+                                if (options.alwaysResolved) {
+                                    debug('%d> [%s] rejected but return as resolved', rid, w.getPath(idx));
+                                    resolve();
+                                } else {
+                                    debug('%d> [%s] rejected with %s', rid, w.getPath(idx), dbg(err));
+                                    reject(err);
+                                }
+                            });
                     })
                     .catch(err => reject(err));
             }
             /**
-             * Worker main handler.
+             * Worker main handler, wait for checkpoint to be loaded first.
+             *
+             * @param {Worker} worker Worker
+             * @param {string} reason Skip reason
+             */
+            const f = (worker, reason) => {
+                if (ready) {
+                    ready.then(() => run(worker, reason));
+                } else {
+                    run(worker, reason);
+                }
+            }
+            /**
+             * Worker runner.
              *
-             * @param {Worker} worker Worker 
+             * @param {Worker} worker Worker
+             * @param {string} reason Skip reason
              */
-            const f = worker => {
+            const run = (worker, reason) => {
+                if (finished || restore(worker)) {
+                    return;
+                }
                 w.current = worker;
                 const idx = worker.idx;
                 const winfo = worker.info;
-                const skip = !worker.isEnabled(w);
-                try {
+                const skip = reason !== undefined || !worker.isEnabled(w);
+                let attempt = 0;
+                const onWork = (worker, n) => {
+                    attempt = n || 0;
                     if (typeof options.onWork === 'function') {
-                        options.onWork(worker, w);
+                        options.onWork(worker, w, attempt);
                     }
+                }
+                const start = Date.now();
+                try {
                     if (skip) {
-                        debug('%d> [%d] skip %s', id, idx, winfo);
+                        onWork(worker);
+                        debug('%d> [%s] skip %s%s', rid, w.getPath(idx), winfo, reason ? ` (${reason})` : '');
+                        w.states[idx] = 'skipped';
+                        emit('step:skip', worker, {reason: reason || 'disabled'});
                         next(idx, null);
                     } else {
-                        debug('%d> [%d] call %s', id, idx, winfo);
-                        worker.handler(w)
+                        debug('%d> [%s] call %s', rid, w.getPath(idx), winfo);
+                        w.states[idx] = 'running';
+                        emit('step:start', worker);
+                        worker.execute(w, onWork)
                             .then(res => {
-                                debug('%d> [%d] return %s', id, idx, dbg(res));
+                                debug('%d> [%s] return %s', rid, w.getPath(idx), dbg(res));
+                                w.states[idx] = 'done';
                                 w.rres = res;
+                                completed.push(worker);
+                                // works has been failed while this work is running
+                                if (compensated && typeof worker.options.undo === 'function') {
+                                    undo(worker).catch(() => null);
+                                }
+                                emit('step:done', worker, {duration: Date.now() - start, result: res, attempt});
                                 next(idx, res);
                             })
                             .catch(err => {
-                                stop(idx, err);
+                                w.states[idx] = 'failed';
+                                emit('step:error', worker, {duration: Date.now() - start, err, attempt});
+                                if (w.graph && options.failPolicy === 'skip') {
+                                    debug('%d> [%s] failed with %s, skipping its dependents', rid, w.getPath(idx), dbg(err));
+                                    w.err = err;
+                                    next(idx, null);
+                                } else {
+                                    stop(idx, err);
+                                }
                             });
                     }
                 } catch (err) {
+                    w.states[idx] = 'failed';
+                    emit('step:error', worker, {duration: Date.now() - start, err, attempt});
+                    stop(idx, err);
+                }
+            }
+            if (store && works.length) {
+                w.runId = options.runId;
+                ready = store.load(w.runId)
+                    .then(state => {
+                        w.checkpoint = state || {steps: {}};
+                        if (state) {
+                            debug('%d> [-] resuming %s', rid, w.runId);
+                        }
+                    })
+                    .catch(err => stop(0, err));
+            }
+            if (w.graph) {
+                process.nextTick(() => schedule(0));
+            } else {
+                w.once('work', f);
+            }
+            if (options.timeout > 0 && works.length) {
+                timer = setTimeout(() => {
+                    const idx = w.current ? w.current.idx : 0;
+                    debug('%d> [%s] timed out after %dms', rid, w.getPath(idx), options.timeout);
+                    const err = new WorkTimeoutError(idx, w.getName(idx), options.timeout);
                     stop(idx, err);
+                    controller.abort(err);
+                }, options.timeout);
+            }
+            if (signal && works.length) {
+                if (signal.aborted) {
+                    abort();
+                } else {
+                    signal.addEventListener('abort', abort);
                 }
             }
-            w.once('work', f);
             // guard against empty work
             if (works.length === 0) {
                 always()
                     .then(() => {
-                        debug('%d> [-] empty work, resolving instead', id);
+                        debug('%d> [-] empty work, resolving instead', w.root.id);
+                        emit('chain:done', null, {duration: Date.now() - started});
                         resolve();
                     })
                     .catch(err => reject(err));
@@ -309,6 +887,140 @@ class Work extends EventEmitter {
         });
     }
 
+    /**
+     * Resume works from the saved checkpoint. Completed works are not executed
+     * again but its result is restored.
+     *
+     * @param {string} runId Run id
+     * @param {Array} works The works
+     * @param {object} options The options, see `works()`
+     * @returns {Promise<any>}
+     */
+    static resume(runId, works, options) {
+        options = Object.assign({}, typeof options === 'function' ? {onNext: options} : options, {runId});
+        if (!options.store && !this.store) {
+            return Promise.reject(new Error('Work store is required to resume!'));
+        }
+        return this.works(works, options);
+    }
+
+    /**
+     * Create a worker which executes the works in parallel.
+     *
+     * @param {Array} works The works
+     * @returns {ParallelWorker}
+     */
+    static parallel(works) {
+        return new ParallelWorker(works);
+    }
+
+    /**
+     * Create a worker which executes the works as nested works.
+     *
+     * @param {Array} works The works
+     * @param {object} options The options, see `works()`
+     * @returns {ChainWorker}
+     */
+    static chain(works, options) {
+        return new ChainWorker(works, options);
+    }
+
+    /**
+     * Create a worker which executes the works when the condition is satisfied,
+     * or the else works otherwise.
+     *
+     * @param {Function} condition The condition, called with the work
+     * @param {Array} works The works
+     * @param {Array} elseWorks The else works
+     * @param {object} options The options, see `works()`
+     * @returns {ConditionWorker}
+     */
+    static if(condition, works, elseWorks, options) {
+        return new ConditionWorker(condition, works, elseWorks, options);
+    }
+
+    /**
+     * Create a worker which repeats the works while the condition is satisfied.
+     *
+     * @param {Function} condition The condition, called with the work
+     * @param {Array} works The works
+     * @param {object} options The options, see `works()`
+     * @returns {LoopWorker}
+     */
+    static while(condition, works, options) {
+        return new LoopWorker(condition, works, false, options);
+    }
+
+    /**
+     * Create a worker which repeats the works until the condition is satisfied.
+     * The works are executed at least once.
+     *
+     * @param {Function} condition The condition, called with the work
+     * @param {Array} works The works
+     * @param {object} options The options, see `works()`
+     * @returns {LoopWorker}
+     */
+    static until(condition, works, options) {
+        return new LoopWorker(condition, works, true, options);
+    }
+
+    /**
+     * Create a worker which executes the works for each item.
+     *
+     * @param {any[]|Function} items The items or a function which returns the items, called with the work
+     * @param {Array} works The works
+     * @param {object} options The options, see `works()`
+     * @returns {EachWorker}
+     */
+    static forEach(items, works, options) {
+        return new EachWorker(items, works, options);
+    }
+
+    /**
+     * Create a worker which executes the handler exported by a module in a
+     * worker thread. The handler is called with the previous work result
+     * unless `data` option is specified.
+     *
+     * @param {string} filename Module path
+     * @param {object} options The options
+     * @param {number} options.size Maximum number of worker threads
+     * @param {string} options.fn Exported handler name
+     * @param {Function} options.data Get the handler data, called with the work
+     * @returns {ThreadWorker}
+     */
+    static thread(filename, options) {
+        return new ThreadWorker(filename, options);
+    }
+
+    /**
+     * Register a named handler which can be referenced from works definition
+     * as work handler, enabled condition, retry condition, or undo handler.
+     *
+     * @param {string} name Handler name
+     * @param {Function} handler The handler, pass non function to unregister
+     */
+    static register(name, handler) {
+        if (typeof handler === 'function') {
+            this.handlers[name] = handler;
+        } else {
+            delete this.handlers[name];
+        }
+        return this;
+    }
+
+    /**
+     * Validate and compile works definition into workers.
+     *
+     * @param {WorkDefinition} definition Works definition
+     * @returns {Worker[]}
+     */
+    static compile(definition) {
+        if (definition === null || typeof definition !== 'object' || !Array.isArray(definition.steps)) {
+            throw new WorkDefinitionError('steps', 'must be an array');
+        }
+        return compile(definition.steps, 'steps', this.handlers);
+    }
+
     /**
      * Set debugger function.
      *
@@ -338,27 +1050,117 @@ class Work extends EventEmitter {
     }
 
     /**
-     * Set work initialer handler.
+     * Set default checkpoint store.
      *
-     * @param {Function} f The handler
+     * @param {Store} store The store
      */
-    static setInitializer(f) {
-        if (typeof f === 'function') {
-            this.onWork = f;
+    static setStore(store) {
+        if (store instanceof Store) {
+            this.store = store;
         } else {
-            delete this.onWork;
+            delete this.store;
         }
         return this;
     }
-}
 
-/**
- * Work handler.
- *
- * @author Toha <tohenk@yahoo.com>
- */
-class Worker
-{
+    /**
+     * Set default tracer.
+     *
+     * @param {Tracer} tracer The tracer
+     */
+    static setTracer(tracer) {
+        if (tracer) {
+            this.tracer = tracer;
+        } else {
+            delete this.tracer;
+        }
+        return this;
+    }
+
+    /**
+     * Enable or disable collecting execution report of all works.
+     *
+     * @param {boolean} enabled True to enable
+     */
+    static setMetrics(enabled) {
+        if (enabled) {
+            this.reports = this.reports || {};
+        } else {
+            delete this.reports;
+        }
+        return this;
+    }
+
+    /**
+     * Get aggregated execution report of all works, only available when
+     * enabled using `setMetrics()`.
+     *
+     * @param {string} format Report format, either `json` (default) or `table`
+     * @returns {object|string}
+     */
+    static report(format) {
+        const runs = this.reports || {};
+        const steps = {};
+        for (const run of Object.values(runs)) {
+            for (const step of run.steps.filter(step => step.status !== 'pending')) {
+                const name = step.name !== undefined ? step.name : `#${step.idx}`;
+                if (!steps[name]) {
+                    steps[name] = {name, count: 0, done: 0, skipped: 0, failed: 0, total: 0, min: undefined, max: undefined};
+                }
+                const stat = steps[name];
+                stat.count++;
+                if (stat[step.status] !== undefined) {
+                    stat[step.status]++;
+                }
+                if (step.duration !== undefined) {
+                    stat.total += step.duration;
+                    stat.min = stat.min === undefined ? step.duration : Math.min(stat.min, step.duration);
+                    stat.max = stat.max === undefined ? step.duration : Math.max(stat.max, step.duration);
+                }
+                stat.avg = stat.total / stat.count;
+            }
+        }
+        if (format === 'table') {
+            return table(Object.values(steps).map(stat => Object.assign({}, stat, {avg: stat.avg.toFixed(2)})),
+                ['name', 'count', 'done', 'skipped', 'failed', 'total', 'min', 'max', 'avg']);
+        }
+        return {runs, steps};
+    }
+
+    /**
+     * Set work initialer handler.
+     *
+     * @param {Function} f The handler
+     */
+    static setInitializer(f) {
+        if (typeof f === 'function') {
+            this.onWork = f;
+        } else {
+            delete this.onWork;
+        }
+        return this;
+    }
+}
+
+/**
+ * Retry condition callback.
+ *
+ * @callback RetryIfCallback
+ * @param {Error|string} err Error object or message
+ * @returns {boolean} Return true to retry the work
+ */
+
+/**
+ * Work handler.
+ *
+ * Worker can be created from a function or an array with signature of
+ * `[[string,] function, [function,] [object]]`. The last element, if it's
+ * an object, is considered as worker options.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class Worker
+{
     constructor(work) {
         /** @type {string} */
         this.name;
@@ -368,27 +1170,182 @@ class Worker
         this.handler;
         /** @type {Function} */
         this.enabled;
+        /**
+         * Worker options.
+         *
+         * @type {object}
+         * @property {number} retries Maximum number of retry when work is failed
+         * @property {string} backoff Retry backoff, either `fixed` or `exponential`
+         * @property {number} delay Retry delay in milliseconds
+         * @property {RetryIfCallback} retryIf Retry condition
+         * @property {number} timeout Maximum time in milliseconds for each attempt to complete, the attempt
+         * signal is aborted once it's timed out
+         * @property {string[]} dependsOn Names of work which must be settled before this work
+         * @property {WorkHandler} undo Handler to undo the work when the works is failed
+         */
+        this.options = {};
+        /** @type {Worker} */
+        this.parent;
         if (typeof work === 'function') {
             this.handler = work;
         }
         if (Array.isArray(work)) {
-            if (typeof work[0] === 'string') {
-                this.name = work.shift();
-            }
+            this.configure(work);
+        }
+        if (typeof this.handler !== 'function') {
+            throw Error('Worker handler is required!');
+        }
+    }
+
+    /**
+     * Configure worker from an array with signature of
+     * `[[string,] function|Worker, [function,] [object]]`.
+     *
+     * @param {Array} work The work
+     * @returns {Worker}
+     */
+    configure(work) {
+        work = [...work];
+        if (typeof work[0] === 'string') {
+            this.name = work.shift();
+        }
+        if (work[0] !== this) {
             if (typeof work[0] !== 'function') {
                 throw Error(`Worker handler must be function, got ${typeof work[0]}!`);
             }
             this.handler = work[0];
-            if (work.length > 1) {
-                if (typeof work[1] !== 'function') {
-                    throw Error(`Worker state handler must be function, got ${typeof work[1]}!`);
-                }
-                this.enabled = work[1];
+        }
+        if (work.length > 1 && work[work.length - 1] !== null && typeof work[work.length - 1] === 'object') {
+            this.options = work.pop();
+        }
+        if (work.length > 1) {
+            if (typeof work[1] !== 'function') {
+                throw Error(`Worker state handler must be function, got ${typeof work[1]}!`);
             }
+            this.enabled = work[1];
         }
-        if (typeof this.handler !== 'function') {
-            throw Error('Worker handler is required!');
+        return this;
+    }
+
+    /**
+     * Execute work handler and retry it when failed or timed out as allowed
+     * by the options. Each attempt has its own signal which is passed to the
+     * handler.
+     *
+     * @param {Work} caller The work
+     * @param {Function} onAttempt Callback called before each attempt with the worker and number of attempt
+     * @param {AbortSignal} signal Signal to abort the work, default to works signal
+     * @returns {Promise<any>}
+     */
+    execute(caller, onAttempt, signal) {
+        return new Promise((resolve, reject) => {
+            signal = signal || caller.signal;
+            let attempt = 0, retrying, controller;
+            const settle = f => res => {
+                if (signal) {
+                    signal.removeEventListener('abort', abort);
+                }
+                f(res);
+            }
+            const done = settle(resolve);
+            const fail = settle(reject);
+            const abort = () => {
+                // abort the running attempt, it is rejected once it's settled
+                if (controller) {
+                    controller.abort(abortError(signal));
+                }
+                // cancel the pending retry
+                if (retrying) {
+                    clearTimeout(retrying);
+                    retrying = null;
+                    fail(abortError(signal));
+                }
+            }
+            const f = () => {
+                retrying = null;
+                if (signal && signal.aborted) {
+                    return fail(abortError(signal));
+                }
+                attempt++;
+                const ac = controller = new AbortController();
+                const settled = () => {
+                    if (controller === ac) {
+                        controller = null;
+                    }
+                }
+                try {
+                    if (typeof onAttempt === 'function') {
+                        onAttempt(this, attempt);
+                    }
+                    const timeout = this.options.timeout;
+                    let timer;
+                    const res = timeout > 0 ? Promise.race([
+                        this.handler(caller, ac.signal),
+                        new Promise((resolve, reject) => {
+                            timer = setTimeout(() => {
+                                const err = new WorkTimeoutError(this.idx, this.name, timeout);
+                                reject(err);
+                                ac.abort(err);
+                            }, timeout);
+                        }),
+                    ]) : this.handler(caller, ac.signal);
+                    res
+                        .then(res => {
+                            clearTimeout(timer);
+                            settled();
+                            done(res);
+                        })
+                        .catch(err => {
+                            clearTimeout(timer);
+                            settled();
+                            retry(err);
+                        });
+                } catch (err) {
+                    settled();
+                    retry(err);
+                }
+            }
+            const retry = err => {
+                if (signal && signal.aborted) {
+                    fail(abortError(signal));
+                } else if (this.canRetry(err, attempt)) {
+                    const delay = this.getRetryDelay(attempt);
+                    debug('%d> [%s] attempt %d failed, retrying in %dms', caller.root.id, caller.getPath(this.path), attempt, delay);
+                    retrying = setTimeout(f, delay);
+                } else {
+                    fail(err);
+                }
+            }
+            if (signal) {
+                signal.addEventListener('abort', abort);
+            }
+            f();
+        });
+    }
+
+    /**
+     * Can work be retried?
+     *
+     * @param {Error|string} err Error object or message
+     * @param {number} attempt Number of failed attempt
+     * @returns {boolean}
+     */
+    canRetry(err, attempt) {
+        if (attempt > (this.options.retries || 0)) {
+            return false;
         }
+        return typeof this.options.retryIf === 'function' ? this.options.retryIf(err) : true;
+    }
+
+    /**
+     * Get delay before retrying work.
+     *
+     * @param {number} attempt Number of failed attempt
+     * @returns {number}
+     */
+    getRetryDelay(attempt) {
+        const delay = this.options.delay || 0;
+        return this.options.backoff === 'exponential' ? delay * Math.pow(2, attempt - 1) : delay;
     }
 
     /**
@@ -410,6 +1367,24 @@ class Worker
         return this.handler.toString();
     }
 
+    /**
+     * Get the names of work this work depends on.
+     *
+     * @returns {string[]}
+     */
+    get dependsOn() {
+        return this.options.dependsOn ? [].concat(this.options.dependsOn) : [];
+    }
+
+    /**
+     * Get work index path which includes the parent index.
+     *
+     * @returns {string}
+     */
+    get path() {
+        return this.parent ? `${this.parent.path}.${this.idx}` : `${this.idx}`;
+    }
+
     /**
      * Create work handler.
      *
@@ -420,12 +1395,544 @@ class Worker
         if (work instanceof Worker) {
             return work;
         }
+        if (Array.isArray(work)) {
+            const worker = work[typeof work[0] === 'string' ? 1 : 0];
+            if (worker instanceof Worker) {
+                return worker.configure(work);
+            }
+        }
         return new this(work);
     }
 }
 
+/**
+ * Parallel work handler, all workers are executed at once and the result is
+ * an object keyed by worker name when all workers are named, or an array
+ * otherwise.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class ParallelWorker extends Worker
+{
+    constructor(works) {
+        super((w, signal) => this.run(w, signal));
+        let idx = 0;
+        /** @type {Worker[]} */
+        this.workers = works.map(w => {
+            const worker = Worker.create(w);
+            worker.idx = idx++;
+            worker.parent = this;
+            return worker;
+        });
+    }
+
+    /**
+     * Run all workers.
+     *
+     * @param {Work} caller The work
+     * @param {AbortSignal} signal Signal to abort the workers
+     * @returns {Promise<object|any[]>}
+     */
+    run(caller, signal) {
+        return Promise.all(this.workers.map(worker => {
+            if (!worker.isEnabled(caller)) {
+                debug('%d> [%s] skip %s', caller.root.id, caller.getPath(worker.path), worker.info);
+                return null;
+            }
+            debug('%d> [%s] call %s', caller.root.id, caller.getPath(worker.path), worker.info);
+            return worker.execute(caller, null, signal);
+        }))
+        .then(res => {
+            if (this.workers.length && this.workers.every(worker => worker.name)) {
+                return Object.fromEntries(this.workers.map(worker => [worker.name, res[worker.idx]]));
+            }
+            return res;
+        });
+    }
+
+    /**
+     * Get work handler information.
+     *
+     * @returns {string}
+     */
+    get info() {
+        return `parallel(${this.workers.map(worker => worker.name || worker.idx).join(', ')})`;
+    }
+}
+
+/**
+ * Chain work handler, the works are executed as nested works which can
+ * reference the parent works result, while its result can be referenced from
+ * the parent works using the worker name as prefix.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class ChainWorker extends Worker
+{
+    constructor(works, options) {
+        super((w, signal) => this.run(w, signal));
+        /** @type {Array} */
+        this.works = works;
+        /** @type {object} */
+        this.workOptions = options || {};
+    }
+
+    /**
+     * Run the nested works.
+     *
+     * @param {Work} caller The work
+     * @param {AbortSignal} signal Signal to abort the nested works
+     * @returns {Promise<any>}
+     */
+    run(caller, signal) {
+        return this.chain(caller, this.works, null, signal);
+    }
+
+    /**
+     * Execute works as nested works of caller.
+     *
+     * @param {Work} caller The work
+     * @param {Array} works The works
+     * @param {object} context Properties assigned to the nested works
+     * @param {AbortSignal} signal Signal to abort the nested works, default to caller signal
+     * @returns {Promise<any>}
+     */
+    chain(caller, works, context, signal) {
+        return caller.constructor.works(works, Object.assign({signal: signal || caller.signal}, this.workOptions,
+            {parent: caller, owner: this, context}));
+    }
+
+    /**
+     * Get work handler information.
+     *
+     * @returns {string}
+     */
+    get info() {
+        return `chain(${this.works.length})`;
+    }
+}
+
+/**
+ * Condition work handler, the works are executed when the condition is
+ * satisfied, otherwise the else works are executed if exists.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class ConditionWorker extends ChainWorker
+{
+    constructor(condition, works, elseWorks, options) {
+        super(works, options);
+        /** @type {Function} */
+        this.condition = condition;
+        /** @type {Array} */
+        this.elseWorks = elseWorks;
+        if (typeof this.condition !== 'function') {
+            throw Error(`Worker condition must be function, got ${typeof this.condition}!`);
+        }
+    }
+
+    /**
+     * Run the works or the else works.
+     *
+     * @param {Work} caller The work
+     * @param {AbortSignal} signal Signal to abort the nested works
+     * @returns {Promise<any>}
+     */
+    run(caller, signal) {
+        if (this.condition(caller)) {
+            return this.chain(caller, this.works, null, signal);
+        }
+        if (Array.isArray(this.elseWorks)) {
+            return this.chain(caller, this.elseWorks, null, signal);
+        }
+        return Promise.resolve(null);
+    }
+
+    /**
+     * Get work handler information.
+     *
+     * @returns {string}
+     */
+    get info() {
+        return `if(${this.works.length}${this.elseWorks ? `, ${this.elseWorks.length}` : ''})`;
+    }
+}
+
+/**
+ * Loop work handler, the works are repeated while the condition is satisfied
+ * or until the condition is satisfied. The current iteration is available as
+ * `w.index` of the nested works and the result is the last iteration result.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class LoopWorker extends ChainWorker
+{
+    constructor(condition, works, until, options) {
+        super(works, options);
+        /** @type {Function} */
+        this.condition = condition;
+        /** @type {boolean} */
+        this.until = until;
+        if (typeof this.condition !== 'function') {
+            throw Error(`Worker condition must be function, got ${typeof this.condition}!`);
+        }
+    }
+
+    /**
+     * Run the works repeatedly.
+     *
+     * @param {Work} caller The work
+     * @param {AbortSignal} signal Signal to abort the nested works
+     * @returns {Promise<any>}
+     */
+    run(caller, signal) {
+        return new Promise((resolve, reject) => {
+            let index = 0, res = null;
+            const f = () => {
+                try {
+                    // until loop is always executed at least once
+                    const repeat = this.until ? index === 0 || !this.condition(caller) : this.condition(caller);
+                    if (!repeat) {
+                        return resolve(res);
+                    }
+                    this.chain(caller, this.works, {index: index++}, signal)
+                        .then(r => {
+                            res = r;
+                            f();
+                        })
+                        .catch(err => reject(err));
+                } catch (err) {
+                    reject(err);
+                }
+            }
+            f();
+        });
+    }
+
+    /**
+     * Get work handler information.
+     *
+     * @returns {string}
+     */
+    get info() {
+        return `${this.until ? 'until' : 'while'}(${this.works.length})`;
+    }
+}
+
+/**
+ * Each work handler, the works are executed for each item in order. The item
+ * and its index are available as `w.item` and `w.index` of the nested works
+ * and the result is an array of each item result.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class EachWorker extends ChainWorker
+{
+    constructor(items, works, options) {
+        super(works, options);
+        /** @type {any[]|Function} */
+        this.items = items;
+    }
+
+    /**
+     * Run the works for each item.
+     *
+     * @param {Work} caller The work
+     * @param {AbortSignal} signal Signal to abort the nested works
+     * @returns {Promise<any[]>}
+     */
+    run(caller, signal) {
+        const items = typeof this.items === 'function' ? this.items(caller) : this.items;
+        if (!Array.isArray(items)) {
+            return Promise.reject(new Error(`Work items must be an array, got ${typeof items}!`));
+        }
+        const res = [];
+        return items
+            .reduce((p, item, index) => p
+                .then(() => this.chain(caller, this.works, {item, index}, signal))
+                .then(r => res.push(r)), Promise.resolve())
+            .then(() => res);
+    }
+
+    /**
+     * Get work handler information.
+     *
+     * @returns {string}
+     */
+    get info() {
+        return `forEach(${this.works.length})`;
+    }
+}
+
+/**
+ * Thread work handler, the handler is executed in a pool of worker threads.
+ * Idle worker threads don't keep the process running, use `close()` to stop
+ * them.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class ThreadWorker extends Worker
+{
+    constructor(filename, options) {
+        super(w => this.run(w));
+        options = options || {};
+        /** @type {Pool} */
+        this.pool = new Pool(filename, options);
+        /** @type {Function} */
+        this.data = options.data;
+    }
+
+    /**
+     * Run the handler in a worker thread.
+     *
+     * @param {Work} caller The work
+     * @returns {Promise<any>}
+     */
+    run(caller) {
+        return this.pool.run(typeof this.data === 'function' ? this.data(caller) : caller.res);
+    }
+
+    /**
+     * Stop the worker threads.
+     *
+     * @returns {Promise<undefined>}
+     */
+    close() {
+        return this.pool.close();
+    }
+
+    /**
+     * Get work handler information.
+     *
+     * @returns {string}
+     */
+    get info() {
+        return `thread(${this.pool.filename})`;
+    }
+}
+
+/**
+ * Allowed step definition properties.
+ *
+ * @type {string[]}
+ */
+const stepProperties = ['name', 'handler', 'steps', 'parallel', 'enabled', 'retries', 'delay', 'backoff', 'retryIf',
+    'timeout', 'dependsOn', 'undo'];
+
+/**
+ * Validate and compile step definitions into workers.
+ *
+ * @param {StepDefinition[]} steps Step definitions
+ * @param {string} path Steps path used in error message
+ * @param {object} handlers Registered handlers
+ * @returns {Worker[]}
+ */
+function compile(steps, path, handlers) {
+    const names = {};
+    const workers = steps.map((step, i) => {
+        const spath = `${path}[${i}]`;
+        const error = (prop, message) => new WorkDefinitionError(prop ? `${spath}.${prop}` : spath, message);
+        const ref = prop => {
+            const value = step[prop];
+            if (typeof value === 'string') {
+                if (typeof handlers[value] !== 'function') {
+                    throw error(prop, `handler ${value} is not registered`);
+                }
+                return handlers[value];
+            }
+            if (typeof value !== 'function') {
+                throw error(prop, `must be a handler name or function, got ${typeof value}`);
+            }
+            return value;
+        }
+        if (step === null || typeof step !== 'object' || Array.isArray(step)) {
+            throw error(null, 'must be an object');
+        }
+        for (const prop of Object.keys(step)) {
+            if (!stepProperties.includes(prop)) {
+                throw error(prop, 'is not a valid property');
+            }
+        }
+        if (step.name !== undefined) {
+            if (typeof step.name !== 'string' || !step.name) {
+                throw error('name', 'must be a non empty string');
+            }
+            if (names[step.name]) {
+                throw error('name', `duplicate work name ${step.name}`);
+            }
+            names[step.name] = true;
+        }
+        const kinds = ['handler', 'steps', 'parallel'].filter(prop => step[prop] !== undefined);
+        if (kinds.length !== 1) {
+            throw error(null, 'requires exactly one of handler, steps, or parallel');
+        }
+        for (const prop of ['retries', 'delay', 'timeout']) {
+            if (step[prop] !== undefined && !(typeof step[prop] === 'number' && step[prop] >= 0)) {
+                throw error(prop, 'must be a non negative number');
+            }
+        }
+        if (step.backoff !== undefined && !['fixed', 'exponential'].includes(step.backoff)) {
+            throw error('backoff', 'must be either fixed or exponential');
+        }
+        if (step.dependsOn !== undefined && ![].concat(step.dependsOn).every(dep => typeof dep === 'string')) {
+            throw error('dependsOn', 'must be a work name or an array of work names');
+        }
+        let handler;
+        if (kinds[0] === 'handler') {
+            handler = ref('handler');
+        } else {
+            if (!Array.isArray(step[kinds[0]])) {
+                throw error(kinds[0], 'must be an array');
+            }
+            const workers = compile(step[kinds[0]], `${spath}.${kinds[0]}`, handlers);
+            handler = kinds[0] === 'steps' ? new ChainWorker(workers) : new ParallelWorker(workers);
+        }
+        const options = {};
+        for (const prop of ['retries', 'delay', 'backoff', 'timeout', 'dependsOn']) {
+            if (step[prop] !== undefined) {
+                options[prop] = step[prop];
+            }
+        }
+        for (const prop of ['retryIf', 'undo']) {
+            if (step[prop] !== undefined) {
+                options[prop] = ref(prop);
+            }
+        }
+        const work = step.name !== undefined ? [step.name, handler] : [handler];
+        if (step.enabled !== undefined) {
+            work.push(ref('enabled'));
+        }
+        work.push(options);
+        return Worker.create(work);
+    });
+    steps.forEach((step, i) => {
+        for (const dep of [].concat(step.dependsOn || [])) {
+            if (!names[dep]) {
+                throw new WorkDefinitionError(`${path}[${i}].dependsOn`, `work ${dep} doesn't exist`);
+            }
+        }
+    });
+    return workers;
+}
+
+/**
+ * Format rows as text table.
+ *
+ * @param {object[]} rows The rows
+ * @param {string[]} columns The column names
+ * @returns {string}
+ */
+function table(rows, columns) {
+    const values = [columns, ...rows.map(row => columns.map(col => row[col] !== undefined ? String(row[col]) : '-'))];
+    const widths = columns.map((col, i) => Math.max(...values.map(value => value[i].length)));
+    const line = value => value.map((v, i) => v.padEnd(widths[i])).join(' | ').trimEnd();
+    return [line(values[0]), widths.map(width => '-'.repeat(width)).join('-+-'), ...values.slice(1).map(line)].join('\n');
+}
+
+/**
+ * Get abort error of signal.
+ *
+ * @param {AbortSignal} signal The signal
+ * @returns {Error}
+ */
+function abortError(signal) {
+    if (signal.reason !== undefined) {
+        return signal.reason;
+    }
+    const err = new Error('The operation was aborted');
+    err.name = 'AbortError';
+    return err;
+}
+
+/**
+ * Work error, wraps the original error with the failed work context.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class WorkError extends Error {
+
+    /**
+     * Constructor.
+     *
+     * @param {number} idx Work index
+     * @param {string} stepName Work name
+     * @param {string} info Worker information
+     * @param {any[]} result Partial works result
+     * @param {Error|string} cause Original error
+     */
+    constructor(idx, stepName, info, result, cause) {
+        super(`Work ${stepName !== undefined ? stepName : idx} failed: ${cause instanceof Error ? cause.message : cause}`, {cause});
+        this.name = 'WorkError';
+        /** @type {number} */
+        this.idx = idx;
+        /** @type {string} */
+        this.stepName = stepName;
+        /** @type {string} */
+        this.info = info;
+        /** @type {any[]} */
+        this.result = result;
+    }
+}
+
+/**
+ * Work definition error, the path points to the invalid step definition.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class WorkDefinitionError extends Error {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} path Path of invalid definition such as `steps[1].handler`
+     * @param {string} message Error message
+     */
+    constructor(path, message) {
+        super(`Invalid work definition ${path}: ${message}!`);
+        this.name = 'WorkDefinitionError';
+        /** @type {string} */
+        this.path = path;
+    }
+}
+
+/**
+ * Work timeout error.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class WorkTimeoutError extends Error {
+
+    /**
+     * Constructor.
+     *
+     * @param {number} idx Work index
+     * @param {string} stepName Work name
+     * @param {number} timeout Timeout in milliseconds
+     */
+    constructor(idx, stepName, timeout) {
+        super(`Work ${stepName !== undefined ? stepName : idx} timed out after ${timeout}ms!`);
+        this.name = 'WorkTimeoutError';
+        /** @type {number} */
+        this.idx = idx;
+        /** @type {string} */
+        this.stepName = stepName;
+        /** @type {number} */
+        this.timeout = timeout;
+    }
+}
+
 Work.Worker = Worker;
+Work.ParallelWorker = ParallelWorker;
+Work.ChainWorker = ChainWorker;
+Work.ConditionWorker = ConditionWorker;
+Work.LoopWorker = LoopWorker;
+Work.EachWorker = EachWorker;
+Work.ThreadWorker = ThreadWorker;
+Work.WorkError = WorkError;
+Work.WorkDefinitionError = WorkDefinitionError;
+Work.WorkTimeoutError = WorkTimeoutError;
 Work.seq = 0;
+Work.handlers = {};
 Work.setDebugger();
 
 module.exports = Work;
\ No newline at end of file